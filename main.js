@@ -4,7 +4,11 @@
  *
  * Vanilla JS — no dependencies.
  * Handles scroll animations, parallax, counter animation,
- * mobile menu, lazy-loaded iframes, and JSON-LD injection.
+ * mobile menu, click-to-play videos, JSON-LD injection,
+ * the photo archive, offline support (see sw.js), the
+ * language switcher (dictionaries in locales/), the animation switch
+ * (saved choice applied early by preferences.js) and consent-gated
+ * analytics.
  */
 
 'use strict';
@@ -30,58 +34,224 @@ const rafThrottle = (fn) => {
   };
 };
 
+/**
+ * Delay a callback until `wait` ms have passed without another call.
+ * @param {Function} fn
+ * @param {number} wait
+ * @returns {Function}
+ */
+const debounce = (fn, wait) => {
+  let timer = null;
+  return (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), wait);
+  };
+};
+
+/**
+ * Fetch and parse a JSON file relative to the page.
+ * Rejects on network errors and non-2xx responses.
+ * @param {string} url
+ * @returns {Promise<any>}
+ */
+const fetchJSON = async (url) => {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+  return res.json();
+};
+
+/**
+ * Run `callback(el)` once for each element when it first enters
+ * (or nears) the viewport, then stop observing it.
+ * @param {Iterable<Element>} elements
+ * @param {(el: Element) => void} callback
+ * @param {IntersectionObserverInit} [options]
+ * @returns {IntersectionObserver}
+ */
+const observeOnce = (elements, callback, options = { threshold: 0.1 }) => {
+  const observer = new IntersectionObserver((entries) => {
+    entries.forEach((entry) => {
+      if (!entry.isIntersecting) return;
+      observer.unobserve(entry.target);
+      callback(entry.target);
+    });
+  }, options);
+
+  for (const el of elements) observer.observe(el);
+  return observer;
+};
+
 /* =========================================================
    1. Scroll-triggered animations (IntersectionObserver)
    ========================================================= */
 
+/**
+ * Reveal `.fade-in` / `.slide-up` elements as they enter the viewport.
+ * Components that render after load (e.g. the timeline) call this for
+ * their own elements.
+ * @param {Iterable<Element>} elements
+ */
+const revealOnScroll = (elements) =>
+  observeOnce(elements, (el) => el.classList.add('visible'));
+
 const initScrollAnimations = () => {
   const animatedElements = document.querySelectorAll('.fade-in, .slide-up');
   if (!animatedElements.length) return;
 
-  const observer = new IntersectionObserver(
-    (entries) => {
-      entries.forEach((entry) => {
-        if (entry.isIntersecting) {
-          entry.target.classList.add('visible');
-          observer.unobserve(entry.target);
-        }
-      });
-    },
-    { threshold: 0.1 }
-  );
-
-  animatedElements.forEach((el) => observer.observe(el));
+  revealOnScroll(animatedElements);
 };
 
 /* =========================================================
-   2. Navigation bar — opaque on scroll
+   2. Navigation bar — scroll state, scroll-spy & progress
    ========================================================= */
 
+// Route-style hashes such as #photo/86 or #heritage/kashima belong to
+// dialogs; only plain #section hashes are positions on the page.
+const ROUTE_HASH_PATTERN = /^#[\w-]+\//;
+
+/** The section a plain hash points into, or null (top, route, unknown id). */
+const sectionForHash = (hash) => {
+  if (!hash || hash === '#' || ROUTE_HASH_PATTERN.test(hash)) return null;
+  return document.getElementById(decodeURIComponent(hash.slice(1)))?.closest('section[id]') ?? null;
+};
+
+/** Scroll to a section (null = top of the page), honouring the motion setting. */
+const scrollToSection = (section, { smooth = true } = {}) => {
+  const behavior = smooth && !isMotionReduced() ? 'smooth' : 'auto';
+  if (section) {
+    section.scrollIntoView({ behavior, block: 'start' });
+  } else {
+    window.scrollTo({ top: 0, behavior });
+  }
+};
+
+// Written by one scroll handler; the nav style, the current-section
+// highlight, the address bar and the progress bar all read from it.
+const scrollState = {
+  scrolled: false, // past the top: opaque nav
+  section: null,   // id of the section being read; null at the top
+  progress: 0,     // 0–1 through the page
+};
+
 const initNavScroll = () => {
   const nav = document.querySelector('nav');
   if (!nav) return;
 
   const SCROLL_THRESHOLD = 100;
+  const sections = [...document.querySelectorAll('body > section[id]')];
+  const navLinks = [...nav.querySelectorAll('.nav-links a[href^="#"]')];
+  const progressBar = nav.querySelector('.nav-progress');
 
-  const handleScroll = () => {
-    if (window.scrollY > SCROLL_THRESHOLD) {
-      nav.classList.add('scrolled');
-    } else {
-      nav.classList.remove('scrolled');
+  // Anchor jumps and scrollIntoView stop below the fixed nav
+  // (html { scroll-padding-top: var(--nav-height) }).
+  const root = document.documentElement;
+  const setNavHeight = () => root.style.setProperty('--nav-height', `${nav.offsetHeight}px`);
+  new ResizeObserver(setNavHeight).observe(nav);
+  setNavHeight();
+
+  // A section is being read once its top passes 40% of the viewport.
+  // The first section (hero) is the top of the page and has no hash.
+  const findSection = () => {
+    if (window.scrollY + window.innerHeight >= root.scrollHeight - 2) {
+      return sections.at(-1)?.id ?? null;
+    }
+    const line = Math.max(nav.offsetHeight, window.innerHeight * 0.4);
+    let current = null;
+    for (const section of sections) {
+      if (section.getBoundingClientRect().top > line) break;
+      current = section;
     }
+    return current && current !== sections[0] ? current.id : null;
   };
 
-  window.addEventListener('scroll', rafThrottle(handleScroll), { passive: true });
+  const highlight = () => {
+    navLinks.forEach((link) => {
+      if (link.getAttribute('href') === `#${scrollState.section}`) {
+        link.setAttribute('aria-current', 'location');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+  };
+
+  // Keep the hash on the section being read, and remember the exact
+  // position in the history entry so Back / Forward can return to it.
+  // Debounced: browsers throttle rapid replaceState calls.
+  const saveScrollPosition = debounce(() => {
+    if (ROUTE_HASH_PATTERN.test(location.hash)) return; // a dialog owns the URL
+    // A link into the section being read (e.g. #news-…) is kept as is.
+    const keepHash = scrollState.section && sectionForHash(location.hash)?.id === scrollState.section;
+    let url = location.pathname + location.search;
+    if (keepHash) url = location.hash;
+    else if (scrollState.section) url = `#${scrollState.section}`;
+    history.replaceState(
+      { ...history.state, section: scrollState.section, y: Math.round(window.scrollY) },
+      '',
+      url
+    );
+  }, 200);
+
+  const update = () => {
+    const maxScroll = root.scrollHeight - window.innerHeight;
+    const section = findSection();
+
+    scrollState.scrolled = window.scrollY > SCROLL_THRESHOLD;
+    scrollState.progress = maxScroll > 0 ? Math.min(1, window.scrollY / maxScroll) : 0;
+
+    nav.classList.toggle('scrolled', scrollState.scrolled);
+    if (progressBar) progressBar.style.transform = `scaleX(${scrollState.progress})`;
+    if (section !== scrollState.section) {
+      scrollState.section = section;
+      highlight();
+    }
+  };
+
+  window.addEventListener('scroll', rafThrottle(() => {
+    update();
+    saveScrollPosition();
+  }), { passive: true });
+  window.addEventListener('resize', rafThrottle(update));
 
   // Set correct state on initial load (e.g. after a refresh mid-page).
-  handleScroll();
+  // The address bar is left alone until the visitor actually scrolls.
+  update();
 };
 
 /* =========================================================
-   3. Smooth scroll for anchor links
+   3. Smooth scroll for anchor links & Back / Forward
    ========================================================= */
 
+// Sections filled from data/ (stats, timeline, map, news…) change the
+// height of the page after the first scroll. A position taken on load is
+// taken again whenever the page resizes, until the visitor scrolls or
+// LINK_HOLD_TIME has passed.
+const LINK_HOLD_TIME = 10000; // ms
+const LINK_RELEASE_EVENTS = ['wheel', 'touchstart', 'pointerdown', 'keydown'];
+
+/**
+ * Scroll to an element the way in-page links do: remember the current
+ * position for Back, then add a history entry for `hash`. pushState fires
+ * no hashchange, so the new hash is announced with a `hashtarget` event on
+ * document.
+ * @param {Element} target
+ * @param {string} hash  e.g. "#map"
+ */
+const scrollToTarget = (target, hash) => {
+  // Remember where we are, so Back returns here rather than to
+  // wherever the last debounced save happened.
+  history.replaceState({ ...history.state, y: Math.round(window.scrollY) }, '');
+
+  scrollToSection(target);
+
+  // Update URL hash without jumping.
+  history.pushState({ section: target.closest('section[id]')?.id ?? null }, '', hash);
+  document.dispatchEvent(new CustomEvent('hashtarget', { detail: { target, hash } }));
+};
+
 const initSmoothScroll = () => {
+  // Positions are restored from our own history state (section 2).
+  if ('scrollRestoration' in history) history.scrollRestoration = 'manual';
+
   document.addEventListener('click', (e) => {
     const anchor = e.target.closest('a[href^="#"]');
     if (!anchor) return;
@@ -89,25 +259,51 @@ const initSmoothScroll = () => {
     const targetId = anchor.getAttribute('href');
     if (targetId === '#') return;
 
-    const target = document.querySelector(targetId);
+    // Route-style hashes such as #photo/86 are not element ids.
+    const target = document.getElementById(targetId.slice(1));
     if (!target) return;
 
     e.preventDefault();
+    scrollToTarget(target, targetId);
+    closeMobileMenu();
+  });
 
-    target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  window.addEventListener('popstate', (e) => {
+    const y = e.state?.y;
+    if (Number.isFinite(y)) {
+      window.scrollTo({ top: y, behavior: 'auto' });
+    } else if (!ROUTE_HASH_PATTERN.test(location.hash)) {
+      // Entries we never saw scroll (e.g. first visit): use the hash.
+      // Route hashes are left to their dialogs.
+      scrollToSection(sectionForHash(location.hash), { smooth: false });
+    }
+  });
 
-    // Update URL hash without jumping.
-    history.pushState(null, '', targetId);
+  // Reload: put the visitor back where they were, or on the linked element
+  // (which may only appear once its section has rendered, e.g. #news-…).
+  const savedY = history.state?.y;
+  const linkHash = location.hash.length > 1 && !ROUTE_HASH_PATTERN.test(location.hash) ? location.hash : '';
+  if (!Number.isFinite(savedY) && !linkHash) return;
 
-    // Close mobile menu if open.
-    const mobileMenu = document.querySelector('.nav-links');
-    const hamburger = document.querySelector('.hamburger');
-    if (mobileMenu && mobileMenu.classList.contains('active')) {
-      mobileMenu.classList.remove('active');
-      hamburger?.classList.remove('active');
-      hamburger?.setAttribute('aria-expanded', 'false');
+  const restore = () => {
+    if (Number.isFinite(savedY)) {
+      window.scrollTo({ top: savedY, behavior: 'auto' });
+      return;
     }
-  });
+    const linked = document.getElementById(decodeURIComponent(linkHash.slice(1)));
+    if (linked) scrollToSection(linked, { smooth: false });
+  };
+
+  const resizes = new ResizeObserver(() => restore());
+  const release = () => {
+    resizes.disconnect();
+    clearTimeout(timer);
+    LINK_RELEASE_EVENTS.forEach((type) => window.removeEventListener(type, release, true));
+  };
+  const timer = setTimeout(release, LINK_HOLD_TIME);
+  LINK_RELEASE_EVENTS.forEach((type) => window.addEventListener(type, release, { capture: true, passive: true }));
+  resizes.observe(document.body);
+  restore();
 };
 
 /* =========================================================
@@ -118,15 +314,13 @@ const initHeroParallax = () => {
   const hero = document.querySelector('.hero');
   if (!hero) return;
 
-  // Respect reduced-motion preference.
-  const prefersReducedMotion = window.matchMedia(
-    '(prefers-reduced-motion: reduce)'
-  ).matches;
-  if (prefersReducedMotion) return;
-
   const PARALLAX_SPEED = 0.4; // background moves at 40 % of scroll speed
 
+  // Off with animations and with the decorative layers (section 21).
+  const isOff = () => isMotionReduced() || readingSetting('decorations') === 'off';
+
   const handleScroll = () => {
+    if (isOff()) return;
     const scrollY = window.scrollY;
     const heroBottom = hero.offsetTop + hero.offsetHeight;
 
@@ -138,32 +332,94 @@ const initHeroParallax = () => {
   };
 
   window.addEventListener('scroll', rafThrottle(handleScroll), { passive: true });
+
+  // Turning it off puts the background back in place.
+  const sync = () => {
+    if (isOff()) hero.style.backgroundPositionY = '';
+    else handleScroll();
+  };
+  document.addEventListener('motionchange', sync);
+  document.addEventListener('readingchange', sync);
 };
 
 /* =========================================================
    5. Counter animation (stats section)
    ========================================================= */
 
+// Any `[data-target]` element counts up when it scrolls into view.
+// data-target="4.25" keeps the decimals as written (or set
+// data-decimals); data-prefix / data-suffix add text such as 約 / ha.
+// Numbers are formatted for the current language.
+const STATS_URL = 'data/stats.json';
+const COUNTER_DURATION = 2000; // ms
+
+/** Format a counter value with fixed decimals for the current language. */
+const formatCounterValue = (value, decimals) =>
+  new Intl.NumberFormat(currentLocale, {
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+  }).format(value);
+
 /**
- * Animate a single counter element from 0 to its target value.
- * The target is read from the `data-target` attribute.
+ * Build a counter's markup. The animated number is hidden from screen
+ * readers; they get a visually hidden copy holding only the final value.
  * @param {HTMLElement} el
+ * @returns {{ target: number, render: (value?: number) => void }|null}
  */
-const animateCounter = (el) => {
-  const target = parseInt(el.dataset.target, 10);
-  if (isNaN(target)) return;
+const setupCounter = (el) => {
+  const target = parseFloat(el.dataset.target);
+  if (isNaN(target)) return null;
+  const decimals = el.dataset.decimals !== undefined
+    ? parseInt(el.dataset.decimals, 10) || 0
+    : (el.dataset.target.split('.')[1] || '').length;
+
+  const prefix = document.createElement('span');
+  prefix.className = 'stat-prefix';
+  const number = document.createElement('span');
+  number.className = 'stat-value';
+  const unit = document.createElement('span');
+  unit.className = 'stat-unit';
+
+  const visual = document.createElement('span');
+  visual.setAttribute('aria-hidden', 'true');
+  visual.append(prefix, number, unit);
 
-  const duration = 2000; // ms
+  const spoken = document.createElement('span');
+  spoken.className = 'visually-hidden';
+  el.replaceChildren(visual, spoken);
+
+  let shown = 0;
+
+  // Called per frame with a value, and without one after a language
+  // switch to redraw the current value.
+  const render = (value = shown) => {
+    shown = value;
+    prefix.textContent = el.dataset.prefix || '';
+    unit.textContent = el.dataset.suffix || '';
+    number.textContent = formatCounterValue(value, decimals);
+    spoken.textContent = `${prefix.textContent}${formatCounterValue(target, decimals)}${unit.textContent}`;
+  };
+
+  render(0);
+  return { target, render };
+};
+
+/**
+ * Animate a counter from 0 to its target value.
+ * @param {{ target: number, render: (value: number) => void }} counter
+ */
+const animateCounter = ({ target, render }) => {
   const startTime = performance.now();
 
   const step = (now) => {
     const elapsed = now - startTime;
-    const progress = Math.min(elapsed / duration, 1);
+    // Turning motion off mid-way jumps to the final value.
+    const progress = isMotionReduced() ? 1 : Math.min(elapsed / COUNTER_DURATION, 1);
 
     // Ease-out cubic for a natural deceleration.
     const eased = 1 - Math.pow(1 - progress, 3);
 
-    el.textContent = Math.round(eased * target).toLocaleString('ja-JP');
+    render(progress < 1 ? eased * target : target);
 
     if (progress < 1) {
       requestAnimationFrame(step);
@@ -173,26 +429,107 @@ const animateCounter = (el) => {
   requestAnimationFrame(step);
 };
 
-const initCounterAnimation = () => {
-  const counters = document.querySelectorAll('[data-target]');
-  if (!counters.length) return;
+/**
+ * Resolve one data/stats.json entry to a number. `since` counts years up
+ * to now; `count` names one of `counts` (`photos`: the size of the photo
+ * manifest, `tales`: the folk tales listed in data/heritage.json).
+ * @returns {object|null}
+ */
+const normalizeStat = (item, counts) => {
+  if (!item || typeof item !== 'object') return null;
+  if (typeof item.label !== 'string' || !item.label.trim()) return null;
 
-  const observer = new IntersectionObserver(
-    (entries) => {
-      entries.forEach((entry) => {
-        if (entry.isIntersecting) {
-          animateCounter(entry.target);
-          observer.unobserve(entry.target);
-        }
-      });
-    },
-    { threshold: 0.1 }
-  );
+  let value = item.value;
+  if (Number.isInteger(item.since)) value = new Date().getFullYear() - item.since;
+  if (typeof item.count === 'string') value = counts[item.count];
+  if (!Number.isFinite(value)) return null;
+
+  return {
+    id: typeof item.id === 'string' ? item.id : '',
+    value,
+    decimals: Number.isInteger(item.decimals) ? item.decimals : null,
+    label: item.label.trim(),
+    prefix: typeof item.prefix === 'string' ? item.prefix : '',
+    suffix: typeof item.suffix === 'string' ? item.suffix : '',
+    translations: item.translations && typeof item.translations === 'object' ? item.translations : {},
+  };
+};
+
+/** Fill the statistics band from data/stats.json; resolves to its items. */
+const renderStatsBand = async (section) => {
+  let stats;
+  try {
+    const [data, photos, heritageItems] = await Promise.all([
+      fetchJSON(STATS_URL), loadPhotoManifest(), loadHeritageItems(),
+    ]);
+    const counts = {
+      photos: photos.length,
+      tales: heritageItems.reduce((sum, item) => sum + item.tales, 0),
+    };
+    stats = (Array.isArray(data?.items) ? data.items : [])
+      .map((item) => normalizeStat(item, counts))
+      .filter(Boolean);
+  } catch (err) {
+    console.warn('Statistics could not be loaded:', err);
+    return [];
+  }
+  if (!stats.length) return [];
+
+  const grid = section.querySelector('.stats-grid');
+  grid.replaceChildren(...stats.map((stat) => {
+    const li = document.createElement('li');
+    li.className = 'stat-item stat-card';
+    if (stat.id) li.dataset.stat = stat.id;
+
+    const number = document.createElement('span');
+    number.className = 'stat-number';
+    number.dataset.target = String(stat.value);
+    if (stat.decimals !== null) number.dataset.decimals = String(stat.decimals);
+
+    const label = document.createElement('span');
+    label.className = 'stat-label';
+
+    li.append(number, label);
+    return li;
+  }));
+  section.hidden = false;
+  return stats;
+};
+
+const initCounterAnimation = async () => {
+  const section = document.querySelector('.section-stats');
+  const stats = section ? await renderStatsBand(section) : [];
+  const items = section ? [...section.querySelectorAll('.stat-item')] : [];
+
+  // Labels, prefixes and units can differ per language.
+  const applyStatText = () => {
+    stats.forEach((stat, i) => {
+      const number = items[i].querySelector('.stat-number');
+      number.dataset.prefix = localizedField(stat, 'prefix');
+      number.dataset.suffix = localizedField(stat, 'suffix');
+      items[i].querySelector('.stat-label').textContent = localizedField(stat, 'label');
+    });
+  };
+  applyStatText();
+
+  const elements = [...document.querySelectorAll('[data-target]')];
+  const counters = new Map();
+  elements.forEach((el) => {
+    const counter = setupCounter(el);
+    if (counter) counters.set(el, counter);
+  });
+  if (!counters.size) return;
+
+  document.addEventListener('localechange', () => {
+    applyStatText();
+    counters.forEach((counter) => counter.render());
+  });
 
-  counters.forEach((el) => {
-    // Initialise display to 0 so the page does not flash the final number.
-    el.textContent = '0';
-    observer.observe(el);
+  // With motion off, a counter shows its final value as it comes into view.
+  observeOnce(counters.keys(), (el) => {
+    const counter = counters.get(el);
+    if (isMotionReduced()) counter.render(counter.target);
+    else animateCounter(counter);
   });
 };
 
@@ -276,6 +613,12 @@ const initWaterRipple = () => {
         opacity: 0.8;
       }
     }
+
+    /* Stopped while animations are turned off (section 21) */
+    :root[data-motion="reduced"] .hero::before,
+    :root[data-motion="reduced"] .hero::after {
+      animation: none;
+    }
   `;
 
   document.head.appendChild(style);
@@ -285,6 +628,17 @@ const initWaterRipple = () => {
    7. Mobile menu toggle (hamburger)
    ========================================================= */
 
+/** Close the mobile menu if it is open. */
+const closeMobileMenu = () => {
+  const navLinks = document.querySelector('.nav-links');
+  const hamburger = document.querySelector('.hamburger');
+  if (!navLinks?.classList.contains('active')) return;
+  navLinks.classList.remove('active');
+  hamburger?.classList.remove('active');
+  hamburger?.setAttribute('aria-expanded', 'false');
+  document.body.style.overflow = '';
+};
+
 const initMobileMenu = () => {
   const hamburger = document.querySelector('.hamburger');
   const navLinks = document.querySelector('.nav-links');
@@ -301,449 +655,6226 @@ const initMobileMenu = () => {
 
   // Close menu when clicking outside.
   document.addEventListener('click', (e) => {
-    if (
-      navLinks.classList.contains('active') &&
-      !navLinks.contains(e.target) &&
-      !hamburger.contains(e.target)
-    ) {
-      navLinks.classList.remove('active');
-      hamburger.classList.remove('active');
-      hamburger.setAttribute('aria-expanded', 'false');
-      document.body.style.overflow = '';
-    }
+    if (!navLinks.contains(e.target) && !hamburger.contains(e.target)) closeMobileMenu();
   });
 
   // Close menu on Escape key.
   document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape' && navLinks.classList.contains('active')) {
-      navLinks.classList.remove('active');
-      hamburger.classList.remove('active');
-      hamburger.setAttribute('aria-expanded', 'false');
-      document.body.style.overflow = '';
-    }
+    if (e.key === 'Escape') closeMobileMenu();
   });
 };
 
 /* =========================================================
-   8. Lazy loading for embedded content (YouTube iframes)
+   8. Click-to-play video facades (YouTube)
    ========================================================= */
 
-const initLazyIframes = () => {
-  // Each placeholder should have:
-  //   class="lazy-iframe"
-  //   data-src="https://www.youtube.com/embed/VIDEO_ID"
-  //   (optional) data-title="Video title"
-  const placeholders = document.querySelectorAll('.lazy-iframe');
-  if (!placeholders.length) return;
-
-  const observer = new IntersectionObserver(
-    (entries) => {
-      entries.forEach((entry) => {
-        if (!entry.isIntersecting) return;
-
-        const placeholder = entry.target;
-        const src = placeholder.dataset.src;
-        if (!src) return;
-
-        const iframe = document.createElement('iframe');
-        iframe.src = src;
-        iframe.title = placeholder.dataset.title || '埋め込み動画';
-        iframe.width = placeholder.dataset.width || '560';
-        iframe.height = placeholder.dataset.height || '315';
-        iframe.frameBorder = '0';
-        iframe.allow =
-          'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture';
-        iframe.allowFullscreen = true;
-        iframe.loading = 'lazy';
-
-        // Replace placeholder with iframe.
-        placeholder.replaceWith(iframe);
-        observer.unobserve(placeholder);
-      });
-    },
-    {
-      // Start loading slightly before the element enters the viewport.
-      rootMargin: '200px 0px',
-      threshold: 0,
-    }
-  );
+// Privacy-enhanced mode: no cookies until the visitor presses play.
+const YOUTUBE_EMBED_ORIGIN = 'https://www.youtube-nocookie.com';
 
-  placeholders.forEach((el) => observer.observe(el));
-};
+/** "1:02:03" / "2:15" / "45" → seconds. */
+const parseTimestamp = (stamp) =>
+  String(stamp).split(':').reduce((total, part) => total * 60 + (Number(part) || 0), 0);
 
-/* =========================================================
-   9. Structured data (JSON-LD) injection
-   ========================================================= */
+/**
+ * Parse `data-chapters="0:00 はじめに; 2:15 奉納の舞"`.
+ * @param {string} [value]
+ * @returns {{ stamp: string, time: number, label: string }[]}
+ */
+const parseChapters = (value = '') =>
+  value
+    .split(';')
+    .map((entry) => entry.trim().match(/^(\d{1,2}(?::\d{2}){0,2})\s+(.+)$/))
+    .filter(Boolean)
+    .map(([, stamp, label]) => ({ stamp, time: parseTimestamp(stamp), label }));
 
-const injectStructuredData = () => {
-  const schemas = [
-    // Organization
-    {
-      '@context': 'https://schema.org',
-      '@type': 'Organization',
-      name: '川野車人形保存会',
-      alternateName: 'Kawano Kuruma Ningyo Hozonkai',
-      description:
-        '奥多摩湖の湖底に沈んだ小河内村をARで可視化するプロジェクト',
-      url: window.location.origin,
-    },
+/**
+ * Read a facade's video from its data- attributes:
+ *   data-video-id   YouTube video ID (required)
+ *   data-title      accessible title for the player
+ *   data-start      start position ("1:30" or seconds)
+ *   data-chapters   chapter list, see parseChapters
+ *   data-mode       "modal" plays in the video dialog instead of in place
+ * @param {HTMLElement} facade
+ */
+const readVideoOptions = (facade) => ({
+  id: facade.dataset.videoId,
+  title: facade.dataset.title || t('video.defaultTitle'),
+  start: parseTimestamp(facade.dataset.start || 0),
+  chapters: parseChapters(facade.dataset.chapters),
+  modal: facade.dataset.mode === 'modal',
+});
 
-    // WebSite
-    {
-      '@context': 'https://schema.org',
-      '@type': 'WebSite',
-      name: '小河内タイムレンズ',
-      alternateName: 'Ogouchi Time Lens',
-      url: window.location.origin,
-      description:
-        '奥多摩湖の湖底に沈んだ小河内村をARで可視化するプロジェクト「小河内タイムレンズ」の公式サイト',
-      inLanguage: 'ja',
-    },
+const createVideoFrame = ({ id, title }, start) => {
+  const params = new URLSearchParams({ autoplay: '1', enablejsapi: '1', rel: '0', playsinline: '1' });
+  if (start) params.set('start', String(Math.floor(start)));
+  if (/^https?:$/.test(location.protocol)) params.set('origin', location.origin);
 
-    // Event
-    {
-      '@context': 'https://schema.org',
-      '@type': 'Event',
-      name: '奥多摩町町制施行70周年記念事業 — 小河内タイムレンズ',
-      description:
-        '奥多摩町の町制施行70周年を記念し、小河内ダム建設で湖底に沈んだ小河内村をAR技術で蘇らせるプロジェクト',
-      startDate: '2025-04-01',
-      eventStatus: 'https://schema.org/EventScheduled',
-      eventAttendanceMode: 'https://schema.org/MixedEventAttendanceMode',
-      location: {
-        '@type': 'Place',
-        name: '奥多摩湖（小河内ダム）',
-        address: {
-          '@type': 'PostalAddress',
-          addressLocality: '奥多摩町',
-          addressRegion: '東京都',
-          addressCountry: 'JP',
-        },
-      },
-      organizer: {
-        '@type': 'Organization',
-        name: '川野車人形保存会',
-      },
-    },
-  ];
+  const iframe = document.createElement('iframe');
+  iframe.src = `${YOUTUBE_EMBED_ORIGIN}/embed/${encodeURIComponent(id)}?${params}`;
+  iframe.title = title;
+  iframe.allow =
+    'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture';
+  iframe.allowFullscreen = true;
+  iframe.referrerPolicy = 'strict-origin-when-cross-origin';
+  iframe.addEventListener('load', () => { iframe.dataset.loaded = ''; }, { once: true });
+  return iframe;
+};
 
-  schemas.forEach((schema) => {
-    const script = document.createElement('script');
-    script.type = 'application/ld+json';
-    script.textContent = JSON.stringify(schema);
-    document.head.appendChild(script);
-  });
+/** Seek a running player through the IFrame Player API's postMessage commands. */
+const seekVideoFrame = (iframe, seconds) => {
+  const send = () => {
+    [['seekTo', [seconds, true]], ['playVideo', []]].forEach(([func, args]) => {
+      iframe.contentWindow?.postMessage(
+        JSON.stringify({ event: 'command', func, args }),
+        YOUTUBE_EMBED_ORIGIN
+      );
+    });
+  };
+  if ('loaded' in iframe.dataset) send();
+  else iframe.addEventListener('load', send, { once: true });
 };
 
-/* =========================================================
-   10. Hero photo bubbles — floating memory photos
-   ========================================================= */
+const createOfflineNotice = () => {
+  const notice = document.createElement('p');
+  notice.className = 'video-offline-notice';
+  notice.setAttribute('role', 'status');
+  notice.dataset.i18n = 'video.offline';
+  notice.textContent = t('video.offline');
+  return notice;
+};
 
-const initHeroPhotoBubbles = () => {
-  const container = document.querySelector('.hero-photo-bubbles');
-  if (!container) return;
+/**
+ * Chapter buttons; choosing one calls onSelect(seconds).
+ * @param {{ stamp: string, time: number, label: string }[]} chapters
+ * @param {(seconds: number) => void} onSelect
+ */
+const createChapterNav = (chapters, onSelect) => {
+  const nav = document.createElement('nav');
+  nav.className = 'video-chapters';
+  nav.setAttribute('aria-label', t('video.chapters'));
 
-  const prefersReducedMotion = window.matchMedia(
-    '(prefers-reduced-motion: reduce)'
-  ).matches;
-
-  const photoFiles = [
-    '00.jpg','01.jpg','02.jpg','03.jpg','05.jpg','07.jpg','09.jpg',
-    '100.jpg','1001.jpg','1004.jpg','101.jpg','102.jpg','103.jpg','112.jpg',
-    '17.jpg','18.jpg','19.jpg','20.jpg','21.jpg','22.jpg','23.jpg',
-    '26.jpg','27.jpg','30.jpg','31.jpg','32.jpg','33.jpg','38.jpg','39.jpg',
-    '41.jpg','66.jpg','67.jpg','69.jpg','70.jpg','71.jpg','72.jpg',
-    '73.jpg','74.jpg','81.jpg','83.jpg','84.jpg','85.jpg','86.jpg',
-    '87.jpg','88.jpg','89.jpg','90.jpg','91.jpg','92.jpg','93.jpg',
-    '94.jpg','95.jpg','96.jpg','97.jpg','98.jpg','99.jpg',
-  ];
+  const list = document.createElement('ol');
+  chapters.forEach(({ stamp, time, label }) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'video-chapter';
 
-  // Fisher-Yates shuffle
-  for (let i = photoFiles.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [photoFiles[i], photoFiles[j]] = [photoFiles[j], photoFiles[i]];
-  }
+    const timeEl = document.createElement('time');
+    timeEl.className = 'video-chapter-time';
+    timeEl.dateTime = `PT${time}S`;
+    timeEl.textContent = stamp;
 
-  // モバイル: アニメーションなし、ロゴ上に1つの静的バブル写真を表示
-  const vw = window.innerWidth;
-  if (vw <= 768) {
-    const heroContent = document.querySelector('.hero-content');
-    const heroTitle = heroContent?.querySelector('h1.hero-title');
-    if (!heroContent || !heroTitle) return;
+    const labelEl = document.createElement('span');
+    labelEl.textContent = label;
 
-    const img = document.createElement('img');
-    img.src = `images/photos/${photoFiles[0]}`;
-    img.className = 'photo-bubble photo-bubble-static';
-    img.alt = '';
-    img.width = 180;
-    img.height = 180;
-    heroContent.insertBefore(img, heroTitle);
-    return;
-  }
+    button.append(timeEl, labelEl);
+    button.addEventListener('click', () => {
+      list.querySelectorAll('[aria-current]').forEach((el) => el.removeAttribute('aria-current'));
+      button.setAttribute('aria-current', 'true');
+      onSelect(time);
+    });
 
-  // PC: 既存の浮遊バブルアニメーション
-  let nLarge, nMedium, nSmall;
-  if (vw <= 480) {        // スマホ小: 合計3〜4
-    nLarge = 1; nMedium = 1; nSmall = 1 + Math.floor(Math.random() * 2);
-  } else if (vw <= 768) { // スマホ大〜タブレット: 合計4〜6
-    nLarge = 1; nMedium = 2; nSmall = 1 + Math.floor(Math.random() * 2);
-  } else {                // PC: 合計7〜9
-    nLarge = 2; nMedium = 3; nSmall = 2 + Math.floor(Math.random() * 2);
-  }
+    const li = document.createElement('li');
+    li.appendChild(button);
+    list.appendChild(li);
+  });
 
-  // サイズ枠ごとにランダムなpx値を生成
-  const sizeForCategory = (category) => {
-    if (category === 'large')  return 150 + Math.floor(Math.random() * 51);  // 150〜200px
-    if (category === 'medium') return 90 + Math.floor(Math.random() * 51);   // 90〜140px
-    return 40 + Math.floor(Math.random() * 41);                              // 40〜80px (small)
-  };
+  nav.appendChild(list);
+  return nav;
+};
 
-  const plan = [
-    ...Array(nLarge).fill('large'),
-    ...Array(nMedium).fill('medium'),
-    ...Array(nSmall).fill('small'),
-  ];
-  const selected = photoFiles.slice(0, plan.length);
+const trackVideoPlay = (facade, video) => {
+  trackEvent('video_play', {
+    video_id: video.id,
+    mode: video.modal ? 'modal' : 'inline',
+    placement: facade.closest('section[id]')?.id || 'page',
+  });
+};
 
-  // Each bubble holds its position (px) and velocity (px/frame)
-  const bubbles = [];
+/**
+ * Nothing is requested from YouTube until the visitor clicks. Facades are
+ * links to the video on youtube.com, so they still work without JS.
+ */
+const initVideoFacades = () => {
+  const facades = document.querySelectorAll('.video-facade[data-video-id]');
+  const dialog = document.querySelector('.video-modal');
+  if (!facades.length && !dialog) return;
 
-  selected.forEach((filename, i) => {
-    const img = document.createElement('img');
-    img.src = `images/photos/${filename}`;
-    img.className = 'photo-bubble';
-    img.loading = 'lazy';
-    img.alt = '';
+  // ── In place ──────────────────────────────────────────────
+  const setupInline = (facade) => {
+    const host = facade.closest('.video-container') || facade;
+    let iframe = null;
+    let chapterNav = null;
 
-    const size = sizeForCategory(plan[i]);
-    const t = (size - 40) / 160; // 0(small/far)〜1(large/near)
-    img.style.width = `${size}px`;
-    img.style.height = `${size}px`;
-    img.style.opacity = (0.45 + t * 0.35).toFixed(2); // small=0.45, large=0.8
-
-    container.appendChild(img);
-
-    const speed = 0.1 + t * 0.35;
-
-    const bubble = {
-      el: img,
-      size,
-      speed,
-      x: 0, y: 0,
-      vx: 0, vy: 0,
-      placed: false,
-      hovered: false,
-      scale: 1,
-      targetScale: 1,
-    };
+    const play = (start) => {
+      if (iframe) {
+        seekVideoFrame(iframe, start);
+        return;
+      }
 
-    // PC hover: stop & enlarge to fixed 250px
-    const hoverScale = 250 / size;
-    img.addEventListener('mouseenter', () => {
-      bubble.hovered = true;
-      bubble.targetScale = hoverScale;
-      img.classList.add('is-hovered');
-    });
-    img.addEventListener('mouseleave', () => {
-      bubble.hovered = false;
-      bubble.targetScale = 1;
-      img.classList.remove('is-hovered');
-    });
-
-    bubbles.push(bubble);
-  });
-
-  // Distribute initial directions evenly, with a small random jitter
-  const angleStep = (Math.PI * 2) / bubbles.length;
-  const angleOffset = Math.random() * Math.PI * 2; // random rotation for the whole set
-  bubbles.forEach((b, i) => {
-    const angle = angleOffset + angleStep * i + (Math.random() - 0.5) * 0.6;
-    b.vx = Math.cos(angle) * b.speed;
-    b.vy = Math.sin(angle) * b.speed;
-  });
-
-  // Place bubbles with overlap avoidance
-  const placeBubbles = (cw, ch) => {
-    const placed = [];
-    const overlaps = (x, y, size) => {
-      const cx = x + size / 2;
-      const cy = y + size / 2;
-      const r = size / 2;
-      for (const p of placed) {
-        const dx = cx - p.cx;
-        const dy = cy - p.cy;
-        const minDist = r + p.r + 10; // 10px margin
-        if (dx * dx + dy * dy < minDist * minDist) return true;
+      // Offline (e.g. at the lakeside): explain instead of embedding a
+      // player that cannot load.
+      if (!navigator.onLine) {
+        if (facade.classList.contains('is-offline')) return;
+        const notice = createOfflineNotice();
+        facade.classList.add('is-offline');
+        facade.appendChild(notice);
+        window.addEventListener('online', () => {
+          notice.remove();
+          facade.classList.remove('is-offline');
+        }, { once: true });
+        return;
       }
-      return false;
+
+      const video = readVideoOptions(facade);
+      iframe = createVideoFrame(video, start ?? video.start);
+      // Keep the facade (hidden) so the i18n module can still update it.
+      facade.hidden = true;
+      facade.after(iframe);
+      iframe.focus();
+      trackVideoPlay(facade, video);
     };
 
-    bubbles.forEach((b) => {
-      let x, y, attempts = 0;
-      do {
-        x = Math.random() * (cw - b.size);
-        y = Math.random() * (ch - b.size);
-        attempts++;
-      } while (overlaps(x, y, b.size) && attempts < 100);
-
-      b.x = x;
-      b.y = y;
-      b.placed = true;
-      placed.push({ cx: x + b.size / 2, cy: y + b.size / 2, r: b.size / 2 });
+    const renderChapters = () => {
+      const { chapters } = readVideoOptions(facade);
+      const nav = chapters.length ? createChapterNav(chapters, play) : null;
+      if (chapterNav && nav) chapterNav.replaceWith(nav);
+      else if (chapterNav) chapterNav.remove();
+      else if (nav) host.after(nav);
+      chapterNav = nav;
+    };
+
+    facade.addEventListener('click', (e) => {
+      e.preventDefault();
+      play();
+    });
+
+    document.addEventListener('localechange', () => {
+      renderChapters();
+      if (iframe) iframe.title = readVideoOptions(facade).title;
     });
+    renderChapters();
   };
 
-  if (prefersReducedMotion) return;
+  // ── Dialog ────────────────────────────────────────────────
+  // showModal() makes the rest of the page inert (focus stays inside) and
+  // closes on Escape; focus goes back to the facade on close.
+  let openModal = null;
 
-  // Animation loop — bounce off container edges
-  let initialized = false;
-  const animate = () => {
-    const cw = container.clientWidth;
-    const ch = container.clientHeight;
+  if (dialog) {
+    const titleEl = dialog.querySelector('.video-modal-title');
+    const frame = dialog.querySelector('.video-modal-frame');
+    const chaptersHost = dialog.querySelector('.video-modal-chapters');
+    let activeFacade = null;
+    let iframe = null;
 
-    if (!initialized) {
-      placeBubbles(cw, ch);
-      initialized = true;
-    }
+    const load = (start) => {
+      const video = readVideoOptions(activeFacade);
+      iframe = navigator.onLine ? createVideoFrame(video, start ?? video.start) : null;
+      frame.replaceChildren(iframe || createOfflineNotice());
+      if (iframe) trackVideoPlay(activeFacade, video);
+    };
 
-    bubbles.forEach((b) => {
-      // Smoothly interpolate scale
-      b.scale += (b.targetScale - b.scale) * 0.08;
-
-      // Move only when not hovered
-      if (!b.hovered) {
-        b.x += b.vx;
-        b.y += b.vy;
-
-        // Bounce off edges
-        if (b.x <= 0) { b.x = 0; b.vx = Math.abs(b.vx); }
-        if (b.y <= 0) { b.y = 0; b.vy = Math.abs(b.vy); }
-        if (b.x + b.size >= cw) { b.x = cw - b.size; b.vx = -Math.abs(b.vx); }
-        if (b.y + b.size >= ch) { b.y = ch - b.size; b.vy = -Math.abs(b.vy); }
-      }
+    const seek = (start) => {
+      if (iframe) seekVideoFrame(iframe, start);
+      else load(start);
+    };
+
+    const render = () => {
+      const { title, chapters } = readVideoOptions(activeFacade);
+      titleEl.textContent = title;
+      if (iframe) iframe.title = title;
+      chaptersHost.replaceChildren(...(chapters.length ? [createChapterNav(chapters, seek)] : []));
+    };
+
+    openModal = (facade) => {
+      activeFacade = facade;
+      render();
+      dialog.showModal();
+      load();
+    };
 
-      // translate to center, then scale from center
-      const cx = b.x + b.size / 2;
-      const cy = b.y + b.size / 2;
-      b.el.style.transform = `translate(${cx}px, ${cy}px) translate(-50%, -50%) scale(${b.scale.toFixed(3)})`;
+    dialog.addEventListener('close', () => {
+      // Dropping the iframe stops playback.
+      frame.replaceChildren();
+      iframe = null;
+      activeFacade?.focus();
+      activeFacade = null;
     });
 
-    requestAnimationFrame(animate);
-  };
+    dialog.querySelector('.video-modal-close').addEventListener('click', () => dialog.close());
+    dialog.addEventListener('click', (e) => {
+      if (e.target === dialog) dialog.close();
+    });
+
+    document.addEventListener('localechange', () => {
+      if (dialog.open) render();
+    });
+  }
+
+  if (openModal) {
+    // Delegated, so facades rendered later (e.g. heritage details) work too.
+    document.addEventListener('click', (e) => {
+      const facade = e.target.closest('.video-facade[data-video-id][data-mode="modal"]');
+      if (!facade) return;
+      e.preventDefault();
+      openModal(facade);
+    });
+  }
 
-  requestAnimationFrame(animate);
+  facades.forEach((facade) => {
+    if (facade.dataset.mode !== 'modal' || !openModal) setupInline(facade);
+  });
 };
 
 /* =========================================================
-   Boot
+   9. Structured data (JSON-LD) injection
    ========================================================= */
 
-/* =================================================================
-   10. SCREENSHOT CAROUSEL
-   ================================================================= */
-
-const initCarousel = () => {
-  const carousel = document.querySelector('.carousel');
-  if (!carousel) return;
-
-  const track = carousel.querySelector('.carousel-track');
-  const slides = Array.from(track.children);
-  const prevBtn = carousel.querySelector('.carousel-btn-prev');
-  const nextBtn = carousel.querySelector('.carousel-btn-next');
-  const dotsContainer = carousel.querySelector('.carousel-dots');
+// Everything is described from what the page actually shows: the team
+// cards, video facades and screenshots in index.html, plus the photo
+// manifest, data/heritage.json and feed.xml. URLs are absolute and based
+// on SITE_URL, so they keep the GitHub Pages sub-path. Entities refer to
+// each other through `@id`.
+/** Absolute URL on the public site for a page-relative path or hash. */
+const siteUrl = (path) => new URL(path, SITE_URL).href;
 
-  let currentIndex = 0;
-  let slidesPerView = 3;
-  let autoplayTimer = null;
+/** `@id` of an entity described here, e.g. sdId('organization'). */
+const sdId = (fragment) => siteUrl(`#${fragment}`);
 
-  const updateSlidesPerView = () => {
-    slidesPerView = window.innerWidth <= 768 ? 1 : 3;
-  };
+/** Text of the first element matching selector (see elementText), or undefined. */
+const pageText = (selector) => elementText(document.querySelector(selector));
 
-  const maxIndex = () => Math.max(0, slides.length - slidesPerView);
+// Event entries of the news feed, filled by initNews (section 20).
+const newsEvents = [];
 
-  const buildDots = () => {
-    dotsContainer.innerHTML = '';
-    const count = maxIndex() + 1;
-    for (let i = 0; i < count; i++) {
-      const dot = document.createElement('button');
-      dot.className = 'carousel-dot' + (i === 0 ? ' active' : '');
-      dot.setAttribute('aria-label', `スライド ${i + 1}`);
-      dot.addEventListener('click', () => goTo(i));
-      dotsContainer.appendChild(dot);
-    }
-  };
+const EVENT_ATTENDANCE_MODES = {
+  offline: 'https://schema.org/OfflineEventAttendanceMode',
+  online: 'https://schema.org/OnlineEventAttendanceMode',
+  mixed: 'https://schema.org/MixedEventAttendanceMode',
+};
 
-  const updateDots = () => {
-    dotsContainer.querySelectorAll('.carousel-dot').forEach((dot, i) => {
-      dot.classList.toggle('active', i === currentIndex);
-    });
+/** schema.org Event for one news entry with a <tl:event> element. */
+const newsEventSchema = (entry) => {
+  const { event } = entry;
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Event',
+    name: event.name || entry.title,
+    description: entry.summary || undefined,
+    url: entry.url,
+    inLanguage: entry.lang,
+    startDate: event.start,
+    endDate: event.end || undefined,
+    eventStatus: 'https://schema.org/EventScheduled',
+    eventAttendanceMode: EVENT_ATTENDANCE_MODES[event.attendance] ?? EVENT_ATTENDANCE_MODES.offline,
+    location: event.location ? {
+      '@type': 'Place',
+      name: event.location,
+      address: {
+        '@type': 'PostalAddress',
+        addressLocality: event.locality || undefined,
+        addressRegion: event.region || undefined,
+        addressCountry: 'JP',
+      },
+    } : undefined,
+    organizer: { '@id': sdId('organization') },
   };
+};
 
-  const goTo = (index) => {
-    currentIndex = Math.max(0, Math.min(index, maxIndex()));
-    const pct = currentIndex * (100 / slidesPerView);
-    track.style.transform = `translateX(-${pct}%)`;
-    updateDots();
-  };
+/** Person for each `.team-card` (director, curator, coordinator). */
+const teamSchemas = () =>
+  [...document.querySelectorAll('.team-card')].map((card) => {
+    const photo = card.querySelector('.team-photo');
+    return {
+      '@context': 'https://schema.org',
+      '@type': 'Person',
+      name: elementText(card.querySelector('.team-name')),
+      jobTitle: elementText(card.querySelector('.team-role')),
+      description: elementText(card.querySelector('.team-description')),
+      image: photo ? siteUrl(photo.getAttribute('src')) : undefined,
+      memberOf: { '@id': sdId('organization') },
+    };
+  }).filter((person) => person.name);
 
-  const next = () => goTo(currentIndex >= maxIndex() ? 0 : currentIndex + 1);
-  const prev = () => goTo(currentIndex <= 0 ? maxIndex() : currentIndex - 1);
+const UPLOAD_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
-  const startAutoplay = () => {
-    stopAutoplay();
-    autoplayTimer = setInterval(next, 4000);
-  };
+/**
+ * VideoObject for each YouTube facade on the page (section 8), with
+ * chapters as Clips. Heritage videos take their description from
+ * data/heritage.json. uploadDate comes from data-upload-date and is left
+ * out unless it is a YYYY-MM-DD date.
+ */
+const videoSchemas = (heritageItems) => {
+  const byVideo = new Map(heritageItems.filter((item) => item.video).map((item) => [item.video, item]));
+  const seen = new Set();
 
-  const stopAutoplay = () => {
-    if (autoplayTimer) clearInterval(autoplayTimer);
-  };
+  return [...document.querySelectorAll('.video-facade[data-video-id]')].flatMap((facade) => {
+    const { id, title, start, chapters } = readVideoOptions(facade);
+    if (!id || seen.has(id)) return [];
+    seen.add(id);
 
-  prevBtn.addEventListener('click', () => { prev(); startAutoplay(); });
-  nextBtn.addEventListener('click', () => { next(); startAutoplay(); });
+    const watchUrl = `https://www.youtube.com/watch?v=${encodeURIComponent(id)}`;
+    const item = byVideo.get(id);
+    const uploadDate = facade.dataset.uploadDate?.trim() ?? '';
+    const description = item
+      ? localizedField(item, 'summary')
+      : elementText(facade.closest('section')?.querySelector('.section-subtitle'));
 
-  // Touch/swipe support
-  let touchStartX = 0;
-  let touchEndX = 0;
-  track.addEventListener('touchstart', (e) => { touchStartX = e.changedTouches[0].screenX; }, { passive: true });
-  track.addEventListener('touchend', (e) => {
-    touchEndX = e.changedTouches[0].screenX;
-    const diff = touchStartX - touchEndX;
-    if (Math.abs(diff) > 50) {
-      diff > 0 ? next() : prev();
-      startAutoplay();
-    }
+    return [{
+      '@context': 'https://schema.org',
+      '@type': 'VideoObject',
+      '@id': sdId(`video-${id}`),
+      name: title,
+      description: description || undefined,
+      thumbnailUrl: `https://i.ytimg.com/vi/${encodeURIComponent(id)}/hqdefault.jpg`,
+      uploadDate: UPLOAD_DATE_PATTERN.test(uploadDate) ? uploadDate : undefined,
+      contentUrl: watchUrl,
+      embedUrl: `${YOUTUBE_EMBED_ORIGIN}/embed/${encodeURIComponent(id)}${start ? `?start=${start}` : ''}`,
+      publisher: { '@id': sdId('organization') },
+      hasPart: chapters.length ? chapters.map((chapter, i) => ({
+        '@type': 'Clip',
+        name: chapter.label,
+        startOffset: chapter.time,
+        endOffset: chapters[i + 1]?.time,
+        url: `${watchUrl}&t=${chapter.time}`,
+      })) : undefined,
+    }];
   });
+};
 
-  // Pause on hover
-  carousel.addEventListener('mouseenter', stopAutoplay);
-  carousel.addEventListener('mouseleave', startAutoplay);
+/** The WebAR app itself, with the carousel screenshots. */
+const appSchema = () => ({
+  '@context': 'https://schema.org',
+  '@type': 'WebApplication',
+  '@id': `${AR_APP_URL}#app`,
+  name: t('site.name'),
+  alternateName: 'Ogouchi Time Lens',
+  url: AR_APP_URL,
+  description: pageText('.section-features .section-subtitle'),
+  applicationCategory: 'EducationalApplication',
+  operatingSystem: 'Any',
+  browserRequirements: 'Requires a smartphone browser with camera, GPS and compass access.',
+  isAccessibleForFree: true,
+  offers: { '@type': 'Offer', price: '0', priceCurrency: 'JPY' },
+  screenshot: [...document.querySelectorAll('.section-features .carousel img')]
+    .map((img) => siteUrl(img.getAttribute('src'))),
+  inLanguage: DEFAULT_LOCALE,
+  publisher: { '@id': sdId('organization') },
+});
 
-  const handleResize = () => {
-    updateSlidesPerView();
-    buildDots();
-    goTo(Math.min(currentIndex, maxIndex()));
-  };
+/** The photo archive as an ImageGallery of the manifest's photos. */
+const gallerySchema = (photos) => ({
+  '@context': 'https://schema.org',
+  '@type': 'ImageGallery',
+  name: pageText('.section-gallery .section-title'),
+  description: pageText('.section-gallery .section-subtitle'),
+  url: siteUrl('#gallery'),
+  isPartOf: { '@id': sdId('website') },
+  image: photos.map((photo) => ({
+    '@type': 'ImageObject',
+    contentUrl: siteUrl(photo.src),
+    url: siteUrl(`#photo/${photo.id}`),
+    caption: photo.caption,
+    width: photo.width ?? undefined,
+    height: photo.height ?? undefined,
+    dateCreated: photo.year !== null && !photo.circa ? String(photo.year) : undefined,
+    creditText: photo.credit || undefined,
+    copyrightNotice: photo.rights || undefined,
+    inLanguage: DEFAULT_LOCALE,
+  })),
+});
 
-  window.addEventListener('resize', handleResize);
-  updateSlidesPerView();
-  buildDots();
-  startAutoplay();
-};
+/** A CreativeWork for each performing art in data/heritage.json. */
+const heritageSchemas = (items) =>
+  items.map((item) => ({
+    '@context': 'https://schema.org',
+    '@type': 'CreativeWork',
+    name: localizedField(item, 'name'),
+    alternateName: localizedField(item, 'name') !== item.name ? item.name : undefined,
+    description: localizedField(item, 'summary') || undefined,
+    genre: localizedField(item, 'designation') || undefined,
+    url: siteUrl(`#heritage/${item.id}`),
+    image: item.image ? siteUrl(item.image) : undefined,
+    video: item.video ? { '@id': sdId(`video-${item.video}`) } : undefined,
+    isPartOf: { '@id': sdId('website') },
+  }));
 
+// Re-run on every language switch and when the news feed has loaded;
+// previous blocks are replaced.
+const injectStructuredData = async () => {
+  const [photos, heritageItems] = await Promise.all([loadPhotoManifest(), loadHeritageItems()]);
 
-const init = () => {
-  initScrollAnimations();
-  initNavScroll();
-  initSmoothScroll();
+  const schemas = [
+    // Organization
+    {
+      '@context': 'https://schema.org',
+      '@type': 'Organization',
+      '@id': sdId('organization'),
+      name: t('sd.organization.name'),
+      alternateName: 'Kawano Kuruma Ningyo Hozonkai',
+      description: t('sd.organization.description'),
+      url: SITE_URL,
+      logo: siteUrl('images/logo.png'),
+    },
+
+    // WebSite
+    {
+      '@context': 'https://schema.org',
+      '@type': 'WebSite',
+      '@id': sdId('website'),
+      name: t('site.name'),
+      alternateName: 'Ogouchi Time Lens',
+      url: localeUrl(currentLocale),
+      description: t('sd.website.description'),
+      inLanguage: currentLocale,
+      publisher: { '@id': sdId('organization') },
+    },
+
+    appSchema(),
+    ...teamSchemas(),
+    ...videoSchemas(heritageItems),
+    ...heritageSchemas(heritageItems),
+    ...(photos.length ? [gallerySchema(photos)] : []),
+
+    // Events, one per event entry in feed.xml
+    ...newsEvents.map(newsEventSchema),
+  ];
+
+  document.querySelectorAll('script[data-structured-data]').forEach((el) => el.remove());
+  schemas.forEach((schema) => {
+    const script = document.createElement('script');
+    script.type = 'application/ld+json';
+    script.dataset.structuredData = '';
+    script.textContent = JSON.stringify(schema);
+    document.head.appendChild(script);
+  });
+};
+
+/* =========================================================
+   10. Photo archive manifest (data/photos.json)
+   ========================================================= */
+
+// Each entry needs at least `file` and `caption`; everything else is optional.
+// Adding a donated photo only requires dropping the file into images/photos/
+// and appending an entry to the manifest.
+const PHOTO_MANIFEST_URL = 'data/photos.json';
+const PHOTO_FILE_PATTERN = /^[\w.-]+\.(?:jpe?g|png|webp)$/i;
+
+/**
+ * Validate one manifest entry and normalise it for rendering.
+ * @param {object} entry
+ * @param {string} basePath
+ * @returns {object|null} null when the entry is unusable
+ */
+const normalizePhoto = (entry, basePath) => {
+  if (!entry || typeof entry !== 'object') return null;
+  const { file, caption } = entry;
+  if (typeof file !== 'string' || !PHOTO_FILE_PATTERN.test(file)) return null;
+  if (typeof caption !== 'string' || !caption.trim()) return null;
+
+  const year = Number.isInteger(entry.year) ? entry.year : null;
+  const text = (value) => (typeof value === 'string' && value.trim() ? value.trim() : '');
+
+  return {
+    id: text(entry.id) || file.replace(/\.[^.]+$/, ''),
+    src: basePath + file,
+    width: Number(entry.width) || null,
+    height: Number(entry.height) || null,
+    caption: caption.trim(),
+    year,
+    circa: year !== null && entry.circa === true,
+    hamlet: text(entry.hamlet),
+    subjects: Array.isArray(entry.subjects)
+      ? entry.subjects.filter((subject) => typeof subject === 'string' && subject.trim())
+      : [],
+    credit: text(entry.credit),
+    rights: text(entry.rights),
+  };
+};
+
+let photoManifestPromise = null;
+
+/**
+ * Load the photo manifest once and return the valid entries.
+ * Malformed entries are skipped; a failed request resolves to an empty list.
+ * @returns {Promise<object[]>}
+ */
+const loadPhotoManifest = () => {
+  if (!photoManifestPromise) {
+    photoManifestPromise = fetchJSON(PHOTO_MANIFEST_URL)
+      .then((data) => {
+        const basePath = typeof data?.basePath === 'string' ? data.basePath : 'images/photos/';
+        const entries = Array.isArray(data?.photos) ? data.photos : [];
+        const seen = new Set();
+        return entries
+          .map((entry) => normalizePhoto(entry, basePath))
+          .filter((photo) => {
+            if (!photo || seen.has(photo.id)) return false;
+            seen.add(photo.id);
+            return true;
+          });
+      })
+      .catch((err) => {
+        console.warn('Photo manifest could not be loaded:', err);
+        return [];
+      });
+  }
+  return photoManifestPromise;
+};
+
+/** e.g. "1957年", "1950年頃" or '' when the year is unknown. */
+const formatPhotoYear = (photo) => {
+  if (photo.year === null) return '';
+  return t(photo.circa ? 'photo.yearCirca' : 'photo.year', { year: photo.year });
+};
+
+/** Year and hamlet joined for a caption's secondary line. */
+const formatPhotoMeta = (photo) =>
+  [formatPhotoYear(photo), photo.hamlet].filter(Boolean).join(t('photo.metaSeparator'));
+
+/** Alt text: caption followed by the year / hamlet when known. */
+const photoAltText = (photo) => {
+  const meta = formatPhotoMeta(photo);
+  return meta ? t('photo.altWithMeta', { caption: photo.caption, meta }) : photo.caption;
+};
+
+/**
+ * Build the caption overlay contents (caption, year/hamlet, credit, hint).
+ * @param {HTMLElement} el
+ * @param {object} photo
+ * @param {string} [hint]  e.g. what choosing the photo does
+ */
+const fillPhotoCaption = (el, photo, hint = '') => {
+  el.textContent = '';
+
+  const title = document.createElement('span');
+  title.className = 'photo-caption-title';
+  title.textContent = photo.caption;
+  el.appendChild(title);
+
+  const meta = formatPhotoMeta(photo);
+  if (meta) {
+    const metaEl = document.createElement('span');
+    metaEl.className = 'photo-caption-meta';
+    metaEl.textContent = meta;
+    el.appendChild(metaEl);
+  }
+
+  if (photo.credit) {
+    const credit = document.createElement('span');
+    credit.className = 'photo-caption-credit';
+    credit.textContent = t('photo.credit', { credit: photo.credit });
+    el.appendChild(credit);
+  }
+
+  if (hint) {
+    const hintEl = document.createElement('span');
+    hintEl.className = 'photo-caption-hint';
+    hintEl.textContent = hint;
+    el.appendChild(hintEl);
+  }
+};
+
+/* =========================================================
+   11. Hero photo bubbles — floating memory photos
+   ========================================================= */
+
+// PC・タブレット（769px〜）では写真が泡のように漂い、互いにぶつかって
+// 跳ね返ります。マウスでは重ねると、タッチではタップすると拡大して
+// キャプションを表示します。拡大中の写真をクリック（タッチではもう一度
+// タップ）するとポストカードを作れます。スマホでは静的な1枚のみ。幅が変わると
+// 表示方法・泡の数・位置を組み直します。ヒーローが画面外にあるとき、
+// タブが非表示のとき、アニメーションがオフのときは動きを止めます。
+// 表示設定で装飾をオフにすると表示しません。
+const BUBBLE_MOBILE_QUERY = '(max-width: 768px)';
+const BUBBLE_WIDE_MIN = 1025;  // px, container width for the full set
+const BUBBLE_HOVER_SIZE = 250; // px, enlarged bubble diameter
+const BUBBLE_EDGE_MARGIN = 10; // px, gap kept between bubbles when placing
+
+// サイズ枠ごとにランダムなpx値を生成
+const bubbleSizeForCategory = (category) => {
+  if (category === 'large')  return 150 + Math.floor(Math.random() * 51);  // 150〜200px
+  if (category === 'medium') return 90 + Math.floor(Math.random() * 51);   // 90〜140px
+  return 40 + Math.floor(Math.random() * 41);                              // 40〜80px (small)
+};
+
+const initHeroPhotoBubbles = async () => {
+  const container = document.querySelector('.hero-photo-bubbles');
+  if (!container) return;
+
+  const mobileQuery = window.matchMedia(BUBBLE_MOBILE_QUERY);
+
+  const photos = [...(await loadPhotoManifest())];
+  if (!photos.length) return;
+
+  // Choosing an enlarged photo turns it into a postcard (section 26).
+  const postcards = !!document.querySelector('.postcard');
+  const captionHint = () => (postcards ? t('postcard.hint') : '');
+  const openPostcard = (photo) => {
+    document.dispatchEvent(new CustomEvent('openpostcard', { detail: { id: photo.id } }));
+  };
+
+  // Fisher-Yates shuffle
+  for (let i = photos.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [photos[i], photos[j]] = [photos[j], photos[i]];
+  }
+
+  // ── Mobile: 1つの静的バブル写真（ロゴの上） ──────────────
+  let staticFigure = null;
+  let staticCaption = null;
+
+  const buildStaticBubble = () => {
+    const heroContent = document.querySelector('.hero-content');
+    const heroTitle = heroContent?.querySelector('h1.hero-title');
+    if (!heroContent || !heroTitle) return;
+
+    staticFigure = document.createElement('figure');
+    staticFigure.className = 'photo-bubble-static';
+
+    const img = document.createElement('img');
+    img.src = photos[0].src;
+    img.className = 'photo-bubble';
+    img.alt = photoAltText(photos[0]);
+    img.width = 180;
+    img.height = 180;
+
+    staticCaption = document.createElement('figcaption');
+    staticCaption.className = 'photo-bubble-caption';
+    fillPhotoCaption(staticCaption, photos[0], captionHint());
+
+    // Tap shows the caption below the photo; a second tap makes a postcard.
+    staticFigure.addEventListener('click', () => {
+      if (postcards && staticFigure.classList.contains('is-open')) openPostcard(photos[0]);
+      else staticFigure.classList.toggle('is-open');
+    });
+
+    staticFigure.append(img, staticCaption);
+    heroContent.insertBefore(staticFigure, heroTitle);
+  };
+
+  // ── PC / tablet: floating bubbles ─────────────────────────
+  // 泡の数はコンテナの幅で決まる（タブレット: 合計4〜6、PC: 合計7〜9）。
+  // 最大数ぶんを一度だけ作り、幅に応じて表示・非表示を切り替える。
+  const extraSmall = Math.floor(Math.random() * 2);
+  const countsForWidth = (width) => (width >= BUBBLE_WIDE_MIN
+    ? { large: 2, medium: 3, small: 2 + extraSmall }
+    : { large: 1, medium: 2, small: 1 + extraSmall });
+
+  // One shared caption overlay, moved under whichever bubble is enlarged.
+  let captionEl = null;
+  // Each bubble holds its position (px, top-left) and velocity (px per 60 Hz frame)
+  const bubbles = [];
+  let width = 0;
+  let height = 0;
+
+  const showCaption = (bubble) => {
+    fillPhotoCaption(captionEl, bubble.photo, captionHint());
+    const cx = bubble.x + bubble.size / 2;
+    const cy = bubble.y + bubble.size / 2 + BUBBLE_HOVER_SIZE / 2;
+    captionEl.style.transform = `translate(${cx}px, ${cy}px) translate(-50%, 0.75rem)`;
+    captionEl.classList.add('is-visible');
+  };
+
+  const render = (b) => {
+    // translate to center, then scale from center
+    const cx = b.x + b.size / 2;
+    const cy = b.y + b.size / 2;
+    b.el.style.transform = `translate(${cx}px, ${cy}px) translate(-50%, -50%) scale(${b.scale.toFixed(3)})`;
+  };
+
+  const setEnlarged = (bubble, enlarged) => {
+    if (bubble.enlarged === enlarged) return;
+    bubble.enlarged = enlarged;
+    bubble.targetScale = enlarged ? BUBBLE_HOVER_SIZE / bubble.size : 1;
+    bubble.el.classList.toggle('is-enlarged', enlarged);
+    if (enlarged) showCaption(bubble);
+    else if (!bubbles.some((b) => b.enlarged)) captionEl.classList.remove('is-visible');
+    if (isMotionReduced()) {
+      bubble.scale = bubble.targetScale;
+      render(bubble);
+    }
+  };
+
+  const buildFloatingBubbles = () => {
+    captionEl = document.createElement('div');
+    captionEl.className = 'photo-bubble-caption';
+    captionEl.setAttribute('aria-hidden', 'true');
+    container.appendChild(captionEl);
+
+    const { large, medium, small } = countsForWidth(Infinity);
+    const plan = [
+      ...Array.from({ length: large }, (_, rank) => ({ category: 'large', rank })),
+      ...Array.from({ length: medium }, (_, rank) => ({ category: 'medium', rank })),
+      ...Array.from({ length: small }, (_, rank) => ({ category: 'small', rank })),
+    ];
+
+    // Distribute initial directions evenly, with a small random jitter
+    const angleStep = (Math.PI * 2) / plan.length;
+    const angleOffset = Math.random() * Math.PI * 2; // random rotation for the whole set
+
+    photos.slice(0, plan.length).forEach((photo, i) => {
+      const img = document.createElement('img');
+      img.src = photo.src;
+      img.className = 'photo-bubble';
+      img.loading = 'lazy';
+      img.alt = photoAltText(photo);
+      img.hidden = true;
+
+      const size = bubbleSizeForCategory(plan[i].category);
+      const t = (size - 40) / 160; // 0(small/far)〜1(large/near)
+      img.style.width = `${size}px`;
+      img.style.height = `${size}px`;
+      img.style.opacity = (0.45 + t * 0.35).toFixed(2); // small=0.45, large=0.8
+
+      container.appendChild(img);
+
+      // Smaller (farther) bubbles drift more slowly; collisions change
+      // only the direction, so each keeps this speed.
+      const speed = 0.1 + t * 0.35;
+      const angle = angleOffset + angleStep * i + (Math.random() - 0.5) * 0.6;
+
+      const bubble = {
+        el: img,
+        photo,
+        ...plan[i],
+        size,
+        speed,
+        mass: size * size,
+        x: 0, y: 0,
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed,
+        visible: false,
+        placed: false,
+        enlarged: false,
+        scale: 1,
+        targetScale: 1,
+      };
+
+      // Mouse: enlarge while hovered. Touch / pen: tap to toggle.
+      img.addEventListener('pointerenter', (e) => {
+        if (e.pointerType === 'mouse') setEnlarged(bubble, true);
+      });
+      img.addEventListener('pointerleave', (e) => {
+        if (e.pointerType === 'mouse') setEnlarged(bubble, false);
+      });
+      img.addEventListener('pointerup', (e) => {
+        if (postcards && (e.pointerType === 'mouse' ? e.button === 0 : bubble.enlarged)) {
+          openPostcard(bubble.photo);
+          return;
+        }
+        if (e.pointerType === 'mouse') return;
+        const open = !bubble.enlarged;
+        bubbles.forEach((b) => setEnlarged(b, b === bubble && open));
+      });
+
+      bubbles.push(bubble);
+    });
+
+    // A tap anywhere else closes the enlarged bubble.
+    document.addEventListener('pointerdown', (e) => {
+      if (e.pointerType === 'mouse' || bubbles.some((b) => b.el === e.target)) return;
+      bubbles.forEach((b) => setEnlarged(b, false));
+    });
+  };
+
+  // Place a bubble where it doesn't overlap the visible ones
+  const placeBubble = (bubble) => {
+    const others = bubbles.filter((b) => b.visible && b !== bubble);
+    const overlaps = (x, y) => others.some((p) => {
+      const dx = x + bubble.size / 2 - (p.x + p.size / 2);
+      const dy = y + bubble.size / 2 - (p.y + p.size / 2);
+      const minDist = (bubble.size + p.size) / 2 + BUBBLE_EDGE_MARGIN;
+      return dx * dx + dy * dy < minDist * minDist;
+    });
+
+    let x, y, attempts = 0;
+    do {
+      x = Math.random() * Math.max(width - bubble.size, 0);
+      y = Math.random() * Math.max(height - bubble.size, 0);
+      attempts++;
+    } while (overlaps(x, y) && attempts < 100);
+
+    bubble.x = x;
+    bubble.y = y;
+  };
+
+  const clampToContainer = (b) => {
+    b.x = Math.min(Math.max(b.x, 0), Math.max(width - b.size, 0));
+    b.y = Math.min(Math.max(b.y, 0), Math.max(height - b.size, 0));
+  };
+
+  // Re-layout after a resize: existing bubbles keep their relative
+  // position, newly shown ones are placed in free space.
+  const layout = (newWidth, newHeight) => {
+    const sx = width ? newWidth / width : 1;
+    const sy = height ? newHeight / height : 1;
+    width = newWidth;
+    height = newHeight;
+
+    const counts = countsForWidth(width);
+    bubbles.forEach((b) => {
+      const visible = b.rank < counts[b.category];
+      if (visible && b.visible) {
+        b.x *= sx;
+        b.y *= sy;
+        clampToContainer(b);
+      }
+      if (!visible) {
+        setEnlarged(b, false);
+        b.placed = false;
+      }
+      b.visible = visible;
+      b.el.hidden = !visible;
+    });
+    bubbles.filter((b) => b.visible && !b.placed).forEach((b) => {
+      placeBubble(b);
+      b.placed = true;
+    });
+    bubbles.forEach((b) => { if (b.visible) render(b); });
+  };
+
+  // Simple elastic collision between two circles. An enlarged bubble
+  // stands still and acts as an immovable wall.
+  const collide = (a, b) => {
+    const ra = (a.size * a.scale) / 2;
+    const rb = (b.size * b.scale) / 2;
+    const dx = b.x + b.size / 2 - (a.x + a.size / 2);
+    const dy = b.y + b.size / 2 - (a.y + a.size / 2);
+    const distSq = dx * dx + dy * dy;
+    const minDist = ra + rb;
+    if (distSq >= minDist * minDist || distSq === 0) return;
+
+    const wa = a.enlarged ? 0 : 1 / a.mass;
+    const wb = b.enlarged ? 0 : 1 / b.mass;
+    if (!wa && !wb) return;
+
+    const dist = Math.sqrt(distSq);
+    const nx = dx / dist;
+    const ny = dy / dist;
+
+    // Push apart in proportion to inverse mass
+    const overlap = minDist - dist;
+    a.x -= nx * overlap * (wa / (wa + wb));
+    a.y -= ny * overlap * (wa / (wa + wb));
+    b.x += nx * overlap * (wb / (wa + wb));
+    b.y += ny * overlap * (wb / (wa + wb));
+
+    // Exchange momentum along the normal when approaching
+    const avx = a.enlarged ? 0 : a.vx;
+    const avy = a.enlarged ? 0 : a.vy;
+    const bvx = b.enlarged ? 0 : b.vx;
+    const bvy = b.enlarged ? 0 : b.vy;
+    const approach = (bvx - avx) * nx + (bvy - avy) * ny;
+    if (approach >= 0) return;
+
+    const impulse = (-2 * approach) / (wa + wb);
+    a.vx -= impulse * wa * nx;
+    a.vy -= impulse * wa * ny;
+    b.vx += impulse * wb * nx;
+    b.vy += impulse * wb * ny;
+    [a, b].forEach((bubble) => {
+      const v = Math.hypot(bubble.vx, bubble.vy) || 1;
+      bubble.vx = (bubble.vx / v) * bubble.speed;
+      bubble.vy = (bubble.vy / v) * bubble.speed;
+    });
+  };
+
+  // dt is measured in 60 Hz frames, so speed is the same at any refresh rate.
+  const step = (dt) => {
+    const active = bubbles.filter((b) => b.visible);
+    const ease = 1 - Math.pow(0.92, dt);
+
+    active.forEach((b) => {
+      // Smoothly interpolate scale
+      b.scale += (b.targetScale - b.scale) * ease;
+
+      // Move only when not enlarged
+      if (b.enlarged) return;
+      b.x += b.vx * dt;
+      b.y += b.vy * dt;
+
+      // Bounce off edges
+      if (b.x <= 0) { b.x = 0; b.vx = Math.abs(b.vx); }
+      if (b.y <= 0) { b.y = 0; b.vy = Math.abs(b.vy); }
+      if (b.x + b.size >= width) { b.x = width - b.size; b.vx = -Math.abs(b.vx); }
+      if (b.y + b.size >= height) { b.y = height - b.size; b.vy = -Math.abs(b.vy); }
+    });
+
+    for (let i = 0; i < active.length; i++) {
+      for (let j = i + 1; j < active.length; j++) collide(active[i], active[j]);
+    }
+    active.forEach((b) => {
+      clampToContainer(b);
+      render(b);
+    });
+  };
+
+  // ── Animation loop ────────────────────────────────────────
+  // Runs only while nothing holds it (motion or decorations off,
+  // off-screen, hidden tab, mobile).
+  const holds = new Set();
+  let frame = null;
+  let lastTime = 0;
+
+  const tick = (now) => {
+    step(Math.min((now - lastTime) / (1000 / 60), 3));
+    lastTime = now;
+    frame = requestAnimationFrame(tick);
+  };
+
+  const syncAnimation = () => {
+    const run = !holds.size && bubbles.length > 0;
+    if (run && frame === null) {
+      lastTime = performance.now();
+      frame = requestAnimationFrame(tick);
+    } else if (!run && frame !== null) {
+      cancelAnimationFrame(frame);
+      frame = null;
+    }
+  };
+
+  const setHold = (reason, active) => {
+    if (active) holds.add(reason);
+    else holds.delete(reason);
+    syncAnimation();
+  };
+
+  // ── Mode switching ────────────────────────────────────────
+  const applyMode = () => {
+    const mobile = mobileQuery.matches;
+    if (mobile && !staticFigure) buildStaticBubble();
+    if (!mobile && !bubbles.length) buildFloatingBubbles();
+    if (staticFigure) staticFigure.hidden = !mobile;
+    container.hidden = mobile;
+    setHold('mobile', mobile);
+  };
+
+  applyMode();
+  mobileQuery.addEventListener('change', applyMode);
+
+  // The size is cached here instead of being read on every frame.
+  new ResizeObserver(([entry]) => {
+    const { width: w, height: h } = entry.contentRect;
+    if (w && h && bubbles.length) layout(w, h);
+  }).observe(container);
+
+  new IntersectionObserver(([entry]) => setHold('offscreen', !entry.isIntersecting))
+    .observe(container);
+  setHold('hidden', document.hidden);
+  document.addEventListener('visibilitychange', () => setHold('hidden', document.hidden));
+
+  // Hidden (by the CSS) and stopped while the decorative layers are off.
+  setHold('decorations', readingSetting('decorations') === 'off');
+  document.addEventListener('readingchange', ({ detail }) => {
+    setHold('decorations', detail.decorations === 'off');
+  });
+
+  // With motion off the bubbles stay where they are; an enlarged one
+  // snaps to its full size.
+  setHold('motion', isMotionReduced());
+  document.addEventListener('motionchange', ({ detail }) => {
+    if (detail.reduced) {
+      bubbles.forEach((b) => {
+        b.scale = b.targetScale;
+        if (b.visible) render(b);
+      });
+    }
+    setHold('motion', detail.reduced);
+  });
+
+  document.addEventListener('localechange', () => {
+    if (staticFigure) {
+      staticFigure.querySelector('img').alt = photoAltText(photos[0]);
+      fillPhotoCaption(staticCaption, photos[0], captionHint());
+    }
+    bubbles.forEach((b) => {
+      b.el.alt = photoAltText(b.photo);
+      if (b.enlarged) showCaption(b);
+    });
+  });
+};
+
+/* =================================================================
+   12. CAROUSEL
+   ================================================================= */
+
+/**
+ * Read a carousel's options from its data- attributes:
+ *   data-breakpoints="0:1,769:3"  min viewport width : slides per view
+ *   data-autoplay="4000"          rotation interval in ms (omit or 0 = off)
+ *   data-loop                     wrap around at either end
+ *   data-zoom                     slides open full size in the slide viewer
+ * @param {HTMLElement} root
+ */
+const readCarouselOptions = (root) => {
+  const { breakpoints = '0:1', autoplay, loop, zoom } = root.dataset;
+  return {
+    breakpoints: breakpoints
+      .split(',')
+      .map((pair) => pair.split(':').map(Number))
+      .filter(([minWidth, perView]) => Number.isFinite(minWidth) && perView >= 1)
+      .sort((a, b) => a[0] - b[0]),
+    autoplay: Math.max(0, Number(autoplay) || 0),
+    loop: loop !== undefined && loop !== 'false',
+    zoom: zoom !== undefined && zoom !== 'false',
+  };
+};
+
+/**
+ * Full-size view of carousel slides, sharing the lightbox markup and
+ * zoom controls with the photo archive. One dialog serves every carousel.
+ * @param {HTMLDialogElement} dialog
+ */
+const createSlideViewer = (dialog) => {
+  const stage = dialog.querySelector('.lightbox-stage');
+  const image = dialog.querySelector('.lightbox-image');
+  const captionEl = dialog.querySelector('.lightbox-caption');
+  const counterEl = dialog.querySelector('.lightbox-counter');
+
+  let slides = [];
+  let currentIndex = 0;
+  let onClose = null;
+
+  const zoom = createZoomPan(stage, image, {
+    onSwipe: (direction) => step(direction),
+  });
+
+  const show = (index) => {
+    currentIndex = (index + slides.length) % slides.length;
+    const source = slides[currentIndex].querySelector('img');
+
+    zoom.reset();
+    image.src = source.currentSrc || source.src;
+    image.alt = source.alt;
+    captionEl.textContent = source.alt;
+    counterEl.textContent = `${currentIndex + 1} / ${slides.length}`;
+  };
+
+  const step = (direction) => {
+    if (slides.length > 1) show(currentIndex + direction);
+  };
+
+  dialog.addEventListener('close', () => {
+    image.removeAttribute('src');
+    onClose?.(currentIndex);
+    onClose = null;
+  });
+
+  dialog.querySelector('.lightbox-close').addEventListener('click', () => dialog.close());
+  dialog.querySelector('.lightbox-prev').addEventListener('click', () => step(-1));
+  dialog.querySelector('.lightbox-next').addEventListener('click', () => step(1));
+  dialog.querySelector('.lightbox-zoom-in').addEventListener('click', zoom.zoomIn);
+  dialog.querySelector('.lightbox-zoom-out').addEventListener('click', zoom.zoomOut);
+
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) dialog.close();
+  });
+
+  dialog.addEventListener('keydown', (e) => {
+    switch (e.key) {
+      case 'ArrowLeft':  step(-1); break;
+      case 'ArrowRight': step(1); break;
+      case '+':
+      case '=':          zoom.zoomIn(); break;
+      case '-':          zoom.zoomOut(); break;
+      case '0':          zoom.reset(); break;
+      default: return;
+    }
+    e.preventDefault();
+  });
+
+  // Captions come from the slide alt text, which the i18n module rewrites.
+  document.addEventListener('localechange', () => {
+    if (dialog.open) show(currentIndex);
+  });
+
+  return {
+    /**
+     * @param {HTMLElement[]} list  slides to page through
+     * @param {number} index        slide to start on
+     * @param {(index: number) => void} [closeCallback]  gets the last slide shown
+     */
+    open(list, index, closeCallback) {
+      slides = list;
+      onClose = closeCallback;
+      if (!dialog.open) dialog.showModal();
+      show(index);
+    },
+  };
+};
+
+/**
+ * WAI-ARIA carousel: prev/next buttons, dots, a rotation control,
+ * arrow keys and pointer drag that snaps to the nearest slide.
+ * Rotation stops while the carousel is hovered, focused or dragged,
+ * while the tab is hidden, and is paused while animations are off.
+ * @param {HTMLElement} root  `.carousel` element
+ * @param {ReturnType<typeof createSlideViewer> | null} viewer
+ */
+const createCarousel = (root, viewer) => {
+  const DRAG_START = 6;         // px before a press becomes a drag
+  const SNAP_THRESHOLD = 0.15;  // share of a slide that commits a drag
+  const EDGE_RESISTANCE = 0.35; // drag damping past the ends when not looping
+
+  const options = readCarouselOptions(root);
+  const wrapper = root.querySelector('.carousel-track-wrapper');
+  const track = root.querySelector('.carousel-track');
+  const slides = Array.from(track.children);
+  const prevBtn = root.querySelector('.carousel-btn-prev');
+  const nextBtn = root.querySelector('.carousel-btn-next');
+  const dotsContainer = root.querySelector('.carousel-dots');
+
+  let position = 0;
+  let slidesPerView = 1;
+
+  // Only user actions are tracked, never autoplay.
+  const trackInteraction = (action) => {
+    trackEvent('carousel_interaction', { carousel: track.id, action, position: position + 1 });
+  };
+
+  const maxPosition = () => Math.max(0, slides.length - slidesPerView);
+
+  // ── Markup & labels ───────────────────────────────────────
+  root.setAttribute('role', 'region');
+  track.id ||= `carousel-track-${Array.from(document.querySelectorAll('.carousel')).indexOf(root) + 1}`;
+  prevBtn.setAttribute('aria-controls', track.id);
+  nextBtn.setAttribute('aria-controls', track.id);
+
+  slides.forEach((slide) => slide.setAttribute('role', 'group'));
+
+  let rotationBtn = null;
+  if (options.autoplay) {
+    rotationBtn = document.createElement('button');
+    rotationBtn.type = 'button';
+    rotationBtn.className = 'carousel-rotation';
+    rotationBtn.setAttribute('aria-controls', track.id);
+    rotationBtn.innerHTML =
+      '<svg class="icon-pause" viewBox="0 0 24 24" width="16" height="16" fill="currentColor" aria-hidden="true"><path d="M7 5h3v14H7zM14 5h3v14h-3z"/></svg>' +
+      '<svg class="icon-play" viewBox="0 0 24 24" width="16" height="16" fill="currentColor" aria-hidden="true"><path d="M8 5v14l11-7z"/></svg>';
+    // First in tab order, as the APG carousel pattern asks.
+    root.prepend(rotationBtn);
+  }
+
+  const zoomButtons = options.zoom && viewer
+    ? slides.map((slide, i) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'carousel-zoom';
+      button.addEventListener('click', () => openViewer(i));
+      (slide.querySelector('.phone-frame') || slide).appendChild(button);
+      return button;
+    })
+    : [];
+
+  const buildDots = () => {
+    dotsContainer.innerHTML = '';
+    for (let i = 0; i <= maxPosition(); i++) {
+      const dot = document.createElement('button');
+      dot.type = 'button';
+      dot.className = 'carousel-dot';
+      dot.setAttribute('aria-controls', track.id);
+      dot.setAttribute('aria-label', t('carousel.slide', { n: i + 1 }));
+      dot.addEventListener('click', () => { goTo(i); restartAutoplay(); trackInteraction('dot'); });
+      dotsContainer.appendChild(dot);
+    }
+  };
+
+  const relabel = () => {
+    root.setAttribute('aria-roledescription', t('carousel.roleDescription'));
+    slides.forEach((slide, i) => {
+      slide.setAttribute('aria-roledescription', t('carousel.slideRoleDescription'));
+      slide.setAttribute('aria-label', t('carousel.slideLabel', { n: i + 1, total: slides.length }));
+    });
+    zoomButtons.forEach((button, i) => {
+      const alt = slides[i].querySelector('img')?.alt;
+      button.setAttribute('aria-label', alt ? t('carousel.zoomLabel', { label: alt }) : t('carousel.zoom'));
+    });
+    dotsContainer.querySelectorAll('.carousel-dot').forEach((dot, i) => {
+      dot.setAttribute('aria-label', t('carousel.slide', { n: i + 1 }));
+    });
+    updateRotationButton();
+  };
+
+  // ── Position ──────────────────────────────────────────────
+  const render = (dragOffset = 0) => {
+    const pct = position * (100 / slidesPerView);
+    track.style.transform = dragOffset
+      ? `translateX(calc(-${pct}% + ${dragOffset}px))`
+      : `translateX(-${pct}%)`;
+  };
+
+  const goTo = (index) => {
+    position = Math.max(0, Math.min(index, maxPosition()));
+    render();
+
+    // Only the slides in view are reachable / announced.
+    slides.forEach((slide, i) => {
+      slide.toggleAttribute('inert', i < position || i >= position + slidesPerView);
+    });
+    if (document.activeElement?.closest('.carousel-slide[inert]')) {
+      (zoomButtons[position] || nextBtn).focus();
+    }
+    dotsContainer.querySelectorAll('.carousel-dot').forEach((dot, i) => {
+      dot.classList.toggle('active', i === position);
+      if (i === position) dot.setAttribute('aria-current', 'true');
+      else dot.removeAttribute('aria-current');
+    });
+    if (!options.loop) {
+      prevBtn.disabled = position === 0;
+      nextBtn.disabled = position === maxPosition();
+    }
+  };
+
+  const next = () => {
+    if (position < maxPosition()) goTo(position + 1);
+    else if (options.loop) goTo(0);
+  };
+
+  const prev = () => {
+    if (position > 0) goTo(position - 1);
+    else if (options.loop) goTo(maxPosition());
+  };
+
+  const layout = () => {
+    const width = window.innerWidth;
+    slidesPerView = options.breakpoints.reduce(
+      (perView, [minWidth, count]) => (width >= minWidth ? count : perView),
+      1
+    );
+    root.style.setProperty('--slides-per-view', slidesPerView);
+    if (dotsContainer.children.length !== maxPosition() + 1) buildDots();
+    goTo(position);
+  };
+
+  // ── Autoplay ──────────────────────────────────────────────
+  // Each reason to hold rotation is tracked separately so e.g. leaving
+  // with the mouse doesn't restart a carousel the user paused.
+  // Turning motion off pauses rotation as if the user had pressed pause;
+  // turning it back on resumes only a rotation it paused itself.
+  let pausedForMotion = isMotionReduced();
+  const holds = new Set(pausedForMotion ? ['user'] : []);
+  let autoplayTimer = null;
+
+  const updateRotationButton = () => {
+    if (!rotationBtn) return;
+    const paused = holds.has('user');
+    rotationBtn.setAttribute('aria-label', t(paused ? 'carousel.play' : 'carousel.pause'));
+    root.classList.toggle('is-paused', paused);
+  };
+
+  const syncAutoplay = () => {
+    const running = options.autoplay > 0 && holds.size === 0;
+    if (running && !autoplayTimer) autoplayTimer = setInterval(next, options.autoplay);
+    if (!running && autoplayTimer) {
+      clearInterval(autoplayTimer);
+      autoplayTimer = null;
+    }
+    // Announce slide changes only when the user caused them.
+    track.setAttribute('aria-live', running ? 'off' : 'polite');
+  };
+
+  const setHold = (reason, active) => {
+    if (active) holds.add(reason);
+    else holds.delete(reason);
+    syncAutoplay();
+  };
+
+  const restartAutoplay = () => {
+    clearInterval(autoplayTimer);
+    autoplayTimer = null;
+    syncAutoplay();
+  };
+
+  rotationBtn?.addEventListener('click', () => {
+    pausedForMotion = false;
+    setHold('user', !holds.has('user'));
+    updateRotationButton();
+    trackInteraction(holds.has('user') ? 'pause' : 'play');
+  });
+
+  document.addEventListener('motionchange', ({ detail }) => {
+    if (detail.reduced === holds.has('user')) return;
+    if (!detail.reduced && !pausedForMotion) return;
+    pausedForMotion = detail.reduced;
+    setHold('user', detail.reduced);
+    updateRotationButton();
+  });
+
+  root.addEventListener('mouseenter', () => setHold('hover', true));
+  root.addEventListener('mouseleave', () => setHold('hover', false));
+  root.addEventListener('focusin', () => setHold('focus', true));
+  root.addEventListener('focusout', (e) => {
+    if (!root.contains(e.relatedTarget)) setHold('focus', false);
+  });
+  document.addEventListener('visibilitychange', () => setHold('hidden', document.hidden));
+
+  // ── Controls ──────────────────────────────────────────────
+  prevBtn.addEventListener('click', () => { prev(); restartAutoplay(); trackInteraction('prev'); });
+  nextBtn.addEventListener('click', () => { next(); restartAutoplay(); trackInteraction('next'); });
+
+  root.addEventListener('keydown', (e) => {
+    switch (e.key) {
+      case 'ArrowLeft':  prev(); break;
+      case 'ArrowRight': next(); break;
+      case 'Home':       goTo(0); break;
+      case 'End':        goTo(maxPosition()); break;
+      default: return;
+    }
+    e.preventDefault();
+    trackInteraction('key');
+  });
+
+  // ── Pointer drag ──────────────────────────────────────────
+  let drag = null;
+  let suppressClick = false;
+
+  wrapper.addEventListener('pointerdown', (e) => {
+    if (e.button !== 0) return;
+    suppressClick = false;
+    drag = { id: e.pointerId, x: e.clientX, y: e.clientY, dx: 0, active: false };
+  });
+
+  wrapper.addEventListener('pointermove', (e) => {
+    if (!drag || e.pointerId !== drag.id) return;
+    const dx = e.clientX - drag.x;
+
+    if (!drag.active) {
+      if (Math.abs(dx) < DRAG_START) return;
+      // Mostly vertical: leave it to page scrolling.
+      if (Math.abs(e.clientY - drag.y) > Math.abs(dx)) {
+        drag = null;
+        return;
+      }
+      drag.active = true;
+      wrapper.setPointerCapture(e.pointerId);
+      root.classList.add('is-dragging');
+      setHold('drag', true);
+    }
+
+    const pastEdge = (position === 0 && dx > 0) || (position === maxPosition() && dx < 0);
+    drag.dx = pastEdge && !options.loop ? dx * EDGE_RESISTANCE : dx;
+    render(drag.dx);
+  });
+
+  const endDrag = (e) => {
+    if (!drag || e.pointerId !== drag.id) return;
+    const { active, dx } = drag;
+    drag = null;
+    if (!active) return;
+
+    root.classList.remove('is-dragging');
+    const slideWidth = wrapper.clientWidth / slidesPerView;
+    const moved = -dx / slideWidth;
+    let target = position + Math.round(moved);
+    if (target === position && Math.abs(moved) > SNAP_THRESHOLD) target += Math.sign(moved);
+    goTo(target);
+    trackInteraction('drag');
+
+    suppressClick = e.type === 'pointerup';
+    setHold('drag', false);
+  };
+
+  wrapper.addEventListener('pointerup', endDrag);
+  wrapper.addEventListener('pointercancel', endDrag);
+
+  // A drag that ends over a zoom button must not open the viewer.
+  wrapper.addEventListener('click', (e) => {
+    if (!suppressClick) return;
+    suppressClick = false;
+    e.preventDefault();
+    e.stopPropagation();
+  }, true);
+
+  // ── Full-size view ────────────────────────────────────────
+  const openViewer = (index) => {
+    setHold('viewer', true);
+    trackInteraction('zoom');
+    viewer.open(slides, index, (lastIndex) => {
+      setHold('viewer', false);
+      if (lastIndex < position || lastIndex >= position + slidesPerView) goTo(lastIndex);
+      zoomButtons[lastIndex]?.focus();
+    });
+  };
+
+  window.addEventListener('resize', debounce(layout, 150));
+  document.addEventListener('localechange', relabel);
+
+  layout();
+  relabel();
+  syncAutoplay();
+};
+
+const initCarousels = () => {
+  const carousels = document.querySelectorAll('.carousel');
+  if (!carousels.length) return;
+
+  const dialog = document.querySelector('.slide-viewer');
+  const viewer = dialog ? createSlideViewer(dialog) : null;
+  carousels.forEach((root) => createCarousel(root, viewer));
+};
+
+/* =================================================================
+   13. PHOTO ARCHIVE GALLERY & LIGHTBOX
+   ================================================================= */
+
+const PHOTO_HASH_PATTERN = /^#photo\/([\w.-]+)$/;
+const FILTER_UNKNOWN = '__unknown';
+
+/** Start year of the photo's decade ("1950"), or '' when the year is unknown. */
+const photoDecade = (photo) =>
+  photo.year === null ? '' : String(Math.floor(photo.year / 10) * 10);
+
+/** Filter keys a photo can be matched against, per filter name. */
+const photoFilterValues = (photo) => ({
+  hamlet: [photo.hamlet || FILTER_UNKNOWN],
+  decade: [photoDecade(photo) || FILTER_UNKNOWN],
+  subject: photo.subjects.length ? photo.subjects : [FILTER_UNKNOWN],
+});
+
+/**
+ * Zoom / pan / swipe controller for the lightbox image (and the map).
+ * Mouse wheel and pinch zoom, drag pans while zoomed,
+ * a horizontal swipe at 1x calls onSwipe(-1 | 1).
+ * Drags never start on buttons or links inside the stage.
+ * @param {HTMLElement} stage
+ * @param {HTMLElement} image
+ * @param {{ onSwipe?: (direction: number) => void, onChange?: (scale: number) => void }} handlers
+ */
+const createZoomPan = (stage, image, { onSwipe = () => {}, onChange = () => {} } = {}) => {
+  const MIN_SCALE = 1;
+  const MAX_SCALE = 4;
+  const SWIPE_THRESHOLD = 50; // px
+
+  let scale = 1;
+  let tx = 0;
+  let ty = 0;
+
+  const clampPan = () => {
+    const maxX = Math.max(0, (image.offsetWidth * scale - stage.clientWidth) / 2);
+    const maxY = Math.max(0, (image.offsetHeight * scale - stage.clientHeight) / 2);
+    tx = Math.max(-maxX, Math.min(maxX, tx));
+    ty = Math.max(-maxY, Math.min(maxY, ty));
+  };
+
+  const apply = () => {
+    clampPan();
+    image.style.transform = `translate(${tx}px, ${ty}px) scale(${scale})`;
+    stage.classList.toggle('is-zoomed', scale > 1);
+    onChange(scale);
+  };
+
+  const setScale = (next) => {
+    const clamped = Math.max(MIN_SCALE, Math.min(MAX_SCALE, next));
+    // Keep the point under the centre steady while zooming.
+    tx *= clamped / scale;
+    ty *= clamped / scale;
+    scale = clamped;
+    apply();
+  };
+
+  const reset = () => {
+    scale = 1;
+    tx = 0;
+    ty = 0;
+    apply();
+  };
+
+  stage.addEventListener('wheel', (e) => {
+    const next = Math.max(MIN_SCALE, Math.min(MAX_SCALE, scale * (e.deltaY < 0 ? 1.2 : 1 / 1.2)));
+    // At the zoom limits, let the wheel scroll the page instead.
+    if (next === scale) return;
+    e.preventDefault();
+    setScale(next);
+  }, { passive: false });
+
+  stage.addEventListener('dblclick', (e) => {
+    if (e.target.closest('button, a')) return;
+    setScale(scale > 1 ? 1 : 2);
+  });
+
+  // Pointer tracking: one pointer pans / swipes, two pointers pinch.
+  const pointers = new Map();
+  let startX = 0;
+  let startY = 0;
+  let startTx = 0;
+  let startTy = 0;
+  let pinchDistance = 0;
+  let pinchScale = 1;
+
+  const distance = () => {
+    const [a, b] = [...pointers.values()];
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  };
+
+  stage.addEventListener('pointerdown', (e) => {
+    if (e.target.closest('button, a')) return;
+    stage.setPointerCapture(e.pointerId);
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (pointers.size === 1) {
+      startX = e.clientX;
+      startY = e.clientY;
+      startTx = tx;
+      startTy = ty;
+    } else if (pointers.size === 2) {
+      pinchDistance = distance();
+      pinchScale = scale;
+    }
+  });
+
+  stage.addEventListener('pointermove', (e) => {
+    if (!pointers.has(e.pointerId)) return;
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (pointers.size === 2 && pinchDistance) {
+      setScale(pinchScale * (distance() / pinchDistance));
+    } else if (pointers.size === 1 && scale > 1) {
+      tx = startTx + (e.clientX - startX);
+      ty = startTy + (e.clientY - startY);
+      apply();
+    }
+  });
+
+  const endPointer = (e) => {
+    if (!pointers.has(e.pointerId)) return;
+    const wasSingle = pointers.size === 1;
+    pointers.delete(e.pointerId);
+    if (pointers.size < 2) pinchDistance = 0;
+
+    if (wasSingle && scale === 1 && e.type === 'pointerup') {
+      const dx = e.clientX - startX;
+      const dy = e.clientY - startY;
+      if (Math.abs(dx) > SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) {
+        onSwipe(dx < 0 ? 1 : -1);
+      }
+    }
+  };
+
+  stage.addEventListener('pointerup', endPointer);
+  stage.addEventListener('pointercancel', endPointer);
+
+  return {
+    reset,
+    zoomIn: () => setScale(scale * 1.5),
+    zoomOut: () => setScale(scale / 1.5),
+    panBy: (dx, dy) => {
+      tx += dx;
+      ty += dy;
+      apply();
+    },
+  };
+};
+
+const initPhotoGallery = async () => {
+  const section = document.querySelector('.section-gallery');
+  const grid = section?.querySelector('.gallery-grid');
+  const dialog = document.querySelector('.photo-lightbox');
+  if (!grid || !dialog) return;
+
+  const photos = await loadPhotoManifest();
+  if (!photos.length) return;
+
+  const countEl = section.querySelector('.gallery-count');
+  const selects = Array.from(section.querySelectorAll('select[data-filter]'));
+
+  // ── Filters ───────────────────────────────────────────────
+  const filterLabel = (name, value) => {
+    if (value === FILTER_UNKNOWN) return t(`gallery.unknown.${name}`);
+    if (name === 'decade') return t('photo.decade', { decade: value });
+    if (name === 'subject') return translateValue(`photo.subject.${value}`, value);
+    return value;
+  };
+
+  selects.forEach((select) => {
+    const name = select.dataset.filter;
+    const values = new Set();
+    photos.forEach((photo) => photoFilterValues(photo)[name].forEach((v) => values.add(v)));
+
+    const known = [...values].filter((v) => v !== FILTER_UNKNOWN);
+    if (name !== 'subject') known.sort((a, b) => a.localeCompare(b, 'ja'));
+    if (values.has(FILTER_UNKNOWN)) known.push(FILTER_UNKNOWN);
+
+    known.forEach((value) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = filterLabel(name, value);
+      select.appendChild(option);
+    });
+  });
+
+  const relabelFilters = () => {
+    selects.forEach((select) => {
+      Array.from(select.options)
+        .filter((option) => option.value)
+        .forEach((option) => { option.textContent = filterLabel(select.dataset.filter, option.value); });
+    });
+  };
+
+  // ── Grid ──────────────────────────────────────────────────
+  const items = photos.map((photo) => {
+    const li = document.createElement('li');
+    li.dataset.photoId = photo.id;
+
+    const figure = document.createElement('figure');
+    figure.className = 'gallery-item';
+
+    const link = document.createElement('a');
+    link.className = 'gallery-link';
+    link.href = `#photo/${photo.id}`;
+
+    const img = document.createElement('img');
+    img.dataset.src = photo.src;
+    img.alt = photoAltText(photo);
+    if (photo.width && photo.height) {
+      img.width = photo.width;
+      img.height = photo.height;
+    }
+
+    const caption = document.createElement('figcaption');
+    caption.textContent = photo.caption;
+    caption.setAttribute('aria-hidden', 'true');
+
+    link.appendChild(img);
+    figure.append(link, caption);
+    li.appendChild(figure);
+    grid.appendChild(li);
+
+    return { photo, li, link, values: photoFilterValues(photo) };
+  });
+
+  // Only load thumbnails as they approach the viewport.
+  observeOnce(
+    items.map(({ li }) => li.querySelector('img')),
+    (img) => {
+      img.src = img.dataset.src;
+      img.removeAttribute('data-src');
+    },
+    { rootMargin: '200px 0px', threshold: 0 }
+  );
+
+  let visible = items;
+
+  const applyFilters = () => {
+    const active = selects
+      .filter((select) => select.value)
+      .map((select) => [select.dataset.filter, select.value]);
+
+    visible = items.filter((item) =>
+      active.every(([name, value]) => item.values[name].includes(value))
+    );
+
+    items.forEach((item) => { item.li.hidden = !visible.includes(item); });
+    if (countEl) {
+      countEl.textContent = visible.length
+        ? t('gallery.count', { count: visible.length })
+        : t('gallery.empty');
+    }
+  };
+
+  selects.forEach((select) => select.addEventListener('change', applyFilters));
+  applyFilters();
+
+  // ── Lightbox ──────────────────────────────────────────────
+  const stage = dialog.querySelector('.lightbox-stage');
+  const image = dialog.querySelector('.lightbox-image');
+  const captionEl = dialog.querySelector('.lightbox-caption');
+  const metaEl = dialog.querySelector('.lightbox-meta');
+  const creditEl = dialog.querySelector('.lightbox-credit');
+  const counterEl = dialog.querySelector('.lightbox-counter');
+
+  let currentIndex = -1;
+  let hashBeforeOpen = '';
+  let openedFrom = null; // focus target outside the grid (e.g. a timeline photo)
+
+  const zoom = createZoomPan(stage, image, {
+    onSwipe: (direction) => step(direction),
+  });
+
+  const preload = (index) => {
+    const item = visible[(index + visible.length) % visible.length];
+    if (item) new Image().src = item.photo.src;
+  };
+
+  const show = (index) => {
+    currentIndex = (index + visible.length) % visible.length;
+    const { photo } = visible[currentIndex];
+
+    zoom.reset();
+    image.src = photo.src;
+    image.alt = photoAltText(photo);
+    captionEl.textContent = photo.caption;
+    metaEl.textContent = formatPhotoMeta(photo);
+    metaEl.hidden = !metaEl.textContent;
+    creditEl.textContent = [photo.credit && t('photo.credit', { credit: photo.credit }), photo.rights]
+      .filter(Boolean)
+      .join(t('photo.rightsSeparator'));
+    creditEl.hidden = !creditEl.textContent;
+    counterEl.textContent = `${currentIndex + 1} / ${visible.length}`;
+
+    // Keep the address bar shareable without adding history entries.
+    history.replaceState(history.state, '', `#photo/${photo.id}`);
+
+    preload(currentIndex + 1);
+    preload(currentIndex - 1);
+  };
+
+  const step = (direction) => {
+    if (visible.length > 1) show(currentIndex + direction);
+  };
+
+  const openPhoto = (id) => {
+    let index = visible.findIndex((item) => item.photo.id === id);
+    if (index === -1) {
+      if (!items.some((item) => item.photo.id === id)) return false;
+      // Deep link to a photo hidden by the current filters: clear them.
+      selects.forEach((select) => { select.value = ''; });
+      applyFilters();
+      index = visible.findIndex((item) => item.photo.id === id);
+    }
+
+    if (!dialog.open) {
+      const active = document.activeElement;
+      openedFrom = active && active !== document.body && !grid.contains(active) ? active : null;
+      const sectionId = openedFrom?.closest('section[id]')?.id ?? 'gallery';
+      hashBeforeOpen = PHOTO_HASH_PATTERN.test(location.hash) ? `#${sectionId}` : location.hash;
+      dialog.showModal();
+    }
+    show(index);
+    return true;
+  };
+
+  dialog.addEventListener('close', () => {
+    const item = visible[currentIndex];
+    history.replaceState(history.state, '', hashBeforeOpen || location.pathname + location.search);
+    image.removeAttribute('src');
+    (openedFrom?.isConnected ? openedFrom : item?.link)?.focus();
+  });
+
+  grid.addEventListener('click', (e) => {
+    const link = e.target.closest('.gallery-link');
+    if (!link) return;
+    e.preventDefault();
+    openPhoto(link.closest('li').dataset.photoId);
+  });
+
+  dialog.querySelector('.lightbox-close').addEventListener('click', () => dialog.close());
+  dialog.querySelector('.lightbox-prev').addEventListener('click', () => step(-1));
+  dialog.querySelector('.lightbox-next').addEventListener('click', () => step(1));
+  dialog.querySelector('.lightbox-zoom-in').addEventListener('click', zoom.zoomIn);
+  dialog.querySelector('.lightbox-zoom-out').addEventListener('click', zoom.zoomOut);
+  // Shown by the postcard section once it is ready (section 26).
+  dialog.querySelector('.lightbox-postcard')?.addEventListener('click', () => {
+    document.dispatchEvent(new CustomEvent('openpostcard', { detail: { id: visible[currentIndex].photo.id } }));
+  });
+
+  // Clicking the dimmed backdrop (the dialog box itself) closes it.
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) dialog.close();
+  });
+
+  dialog.addEventListener('keydown', (e) => {
+    switch (e.key) {
+      case 'ArrowLeft':  step(-1); break;
+      case 'ArrowRight': step(1); break;
+      case '+':
+      case '=':          zoom.zoomIn(); break;
+      case '-':          zoom.zoomOut(); break;
+      case '0':          zoom.reset(); break;
+      default: return;
+    }
+    e.preventDefault();
+  });
+
+  // Deep links: on load and when the hash changes (e.g. a pasted link).
+  const openFromHash = () => {
+    const match = location.hash.match(PHOTO_HASH_PATTERN);
+    if (match) openPhoto(match[1]);
+  };
+
+  window.addEventListener('hashchange', openFromHash);
+  openFromHash();
+
+  // Other dialogs (e.g. heritage details) open photos without changing
+  // the hash, so closing the lightbox returns to their own route.
+  document.addEventListener('openphoto', (e) => openPhoto(e.detail.id));
+
+  document.addEventListener('localechange', () => {
+    relabelFilters();
+    applyFilters();
+    items.forEach(({ photo, link }) => { link.querySelector('img').alt = photoAltText(photo); });
+    if (dialog.open) show(currentIndex);
+  });
+};
+
+/* =================================================================
+   14. OFFLINE SUPPORT (service worker) & UPDATE PROMPT
+   ================================================================= */
+
+/**
+ * Show a small "new content available" prompt for a waiting worker.
+ * Accepting activates it; the page reloads once it takes control.
+ * @param {ServiceWorker} worker
+ */
+const showUpdatePrompt = (worker) => {
+  if (document.querySelector('.update-toast')) return;
+
+  const toast = document.createElement('div');
+  toast.className = 'update-toast';
+  toast.setAttribute('role', 'status');
+
+  const message = document.createElement('p');
+  message.dataset.i18n = 'update.message';
+  message.textContent = t('update.message');
+
+  const reloadBtn = document.createElement('button');
+  reloadBtn.type = 'button';
+  reloadBtn.className = 'btn btn-primary btn-sm';
+  reloadBtn.dataset.i18n = 'update.reload';
+  reloadBtn.textContent = t('update.reload');
+  reloadBtn.addEventListener('click', () => {
+    reloadBtn.disabled = true;
+    worker.postMessage({ type: 'SKIP_WAITING' });
+  });
+
+  const laterBtn = document.createElement('button');
+  laterBtn.type = 'button';
+  laterBtn.className = 'update-toast-dismiss';
+  laterBtn.dataset.i18n = 'update.later';
+  laterBtn.textContent = t('update.later');
+  laterBtn.addEventListener('click', () => toast.remove());
+
+  toast.append(message, reloadBtn, laterBtn);
+  document.body.appendChild(toast);
+};
+
+const initServiceWorker = () => {
+  if (!('serviceWorker' in navigator)) return;
+
+  // Relative URL: resolves under /ogouchi-time-lens-web/ on GitHub Pages.
+  navigator.serviceWorker.register('sw.js').then((registration) => {
+    // An update finished installing while the page was closed.
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      showUpdatePrompt(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      worker?.addEventListener('statechange', () => {
+        // First install has no controller: nothing to update yet.
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          showUpdatePrompt(worker);
+        }
+      });
+    });
+  }).catch((err) => {
+    console.warn('Service worker registration failed:', err);
+  });
+
+  // The first install also fires controllerchange (clients.claim());
+  // only an accepted update should reload the page.
+  const hadController = Boolean(navigator.serviceWorker.controller);
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!hadController || reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+};
+
+/* =================================================================
+   15. INTERNATIONALISATION (ja / en / zh-Hans / zh-Hant / ko)
+   ================================================================= */
+
+// Japanese is the source language. Static text stays in index.html,
+// marked with data-i18n (text), data-i18n-html (markup) or
+// data-i18n-attr="attr:key;attr:key"; strings built in JS live in
+// JA_STRINGS. Other languages are flat key → string dictionaries in
+// locales/<code>.json, and any key they lack falls back to Japanese.
+const LOCALES = {
+  ja: { label: '日本語', ogLocale: 'ja_JP' },
+  en: { label: 'English', ogLocale: 'en_US' },
+  'zh-Hans': { label: '简体中文', ogLocale: 'zh_CN' },
+  'zh-Hant': { label: '繁體中文', ogLocale: 'zh_TW' },
+  ko: { label: '한국어', ogLocale: 'ko_KR' },
+};
+const DEFAULT_LOCALE = 'ja';
+const LOCALE_STORAGE_KEY = 'ogouchi-time-lens:locale';
+const SITE_URL = 'https://code-for-okutama.github.io/ogouchi-time-lens-web/';
+
+const JA_STRINGS = {
+  'lang.label': '表示言語',
+  'motion.label': 'アニメーション',
+  'display.button': '表示設定',
+  'display.textSize': '文字の大きさ',
+  'display.textSize.standard': '標準',
+  'display.textSize.large': '大',
+  'display.textSize.x-large': '特大',
+  'display.contrast': 'くっきり表示（高コントラスト）',
+  'display.decorations': '背景の装飾（写真・水面の揺らぎ）',
+  'display.furigana': 'ふりがな',
+  'display.note': '設定はこのブラウザに保存されます。',
+  'carousel.slide': 'スライド {n}',
+  'carousel.slideLabel': '{n} / {total}',
+  'carousel.roleDescription': 'カルーセル',
+  'carousel.slideRoleDescription': 'スライド',
+  'carousel.pause': 'スライドの自動切り替えを停止',
+  'carousel.play': 'スライドの自動切り替えを開始',
+  'carousel.zoom': '拡大して表示',
+  'carousel.zoomLabel': '拡大して表示：{label}',
+  'video.defaultTitle': '埋め込み動画',
+  'video.offline': 'オフラインのため動画を再生できません。電波の届く場所で再度お試しください。',
+  'video.chapters': 'チャプター',
+  'photo.year': '{year}年',
+  'photo.yearCirca': '{year}年頃',
+  'photo.decade': '{decade}年代',
+  'photo.metaSeparator': '・',
+  'photo.altWithMeta': '{caption}（{meta}）',
+  'photo.credit': '提供：{credit}',
+  'photo.rightsSeparator': '　',
+  'gallery.count': '{count}枚の写真',
+  'gallery.empty': '条件に合う写真はありません',
+  'gallery.unknown.hamlet': '集落不明',
+  'gallery.unknown.decade': '年代不明',
+  'gallery.unknown.subject': 'その他',
+  'timeline.showPhotos': '写真を見る（{count}枚）',
+  'timeline.hidePhotos': '写真を閉じる',
+  'update.message': '新しいコンテンツがあります。',
+  'update.reload': '更新する',
+  'update.later': 'あとで',
+  'consent.label': 'アクセス解析への同意',
+  'consent.message': 'このサイトでは、より良い情報発信のためにGoogle アナリティクスで閲覧状況を計測しています。同意いただいた場合にのみ読み込み、同意しない場合は外部の解析サービスを一切読み込みません。',
+  'consent.accept': '同意する',
+  'consent.decline': '同意しない',
+  'heritage.more': '詳しく見る',
+  'heritage.moreAbout': '{name}について詳しく見る',
+  'heritage.detail.season': '時期',
+  'heritage.detail.group': '保存団体',
+  'heritage.detail.history': '歴史',
+  'heritage.detail.photos': '関連する写真',
+  'heritage.detail.app': 'ARアプリで開く',
+  'contribute.photoAlt': '選んだ写真：{name}',
+  'contribute.photoTaken': '撮影：{date}',
+  'contribute.remove': '削除',
+  'contribute.removeLabel': '「{name}」を削除',
+  'contribute.preparing': '写真を準備しています…',
+  'contribute.photoError': '「{name}」を読み込めませんでした。JPEG や PNG などの写真を選んでください。',
+  'contribute.tooMany': '写真は{max}枚まで送れます。',
+  'contribute.draftSaved': '下書きを保存しました（{time}）',
+  'contribute.draftRestored': '前回の下書きを開きました（{time}に保存）',
+  'contribute.draftUnavailable': 'このブラウザでは下書きを保存できません。送信するまでページを閉じないでください。',
+  'contribute.sending': '送信しています…',
+  'contribute.queued': 'オフラインのため、まだ送信していません。電波が戻ると自動で送信します。',
+  'contribute.retrying': '送信できませんでした。下書きは残っていますので、しばらくしてから自動でもう一度送信します。',
+  'contribute.sent': 'ありがとうございました。お寄せいただいた思い出を受け付けました。',
+  'contribute.error': '送信できませんでした。下書きは残っていますので、時間をおいてもう一度お試しください。',
+  'contribute.discardConfirm': '下書きを消しますか？ 入力した内容と写真は元に戻せません。',
+  'contribute.discarded': '下書きを消しました。',
+  'guide.qrLabel': '{name}をARアプリで開くQRコード',
+  'guide.scan': 'スマートフォンで読み取るとARで開きます',
+  'guide.appCode': 'ARアプリ',
+  'guide.siteCode': 'このサイト',
+  'guide.title': '現地フィールドガイド',
+  'guide.lead': '奥多摩湖の湖畔を歩きながら、湖の底に沈んだ小河内村の暮らしをたどる携帯用ガイドです。QRコードを読み取るとARアプリが開き、湖畔で昔の村の姿を見られます。',
+  'guide.printed': '{date}印刷',
+  'guide.history': '小河内村の歩み',
+  'guide.heritage': '受け継がれる文化',
+  'guide.places': '湖畔の見どころ',
+  'guide.placesNote': '湖畔から見える範囲の場所を載せています。立入禁止区域や水際には近づかないでください。',
+  'arCheck.checking': '確認しています…',
+  'arCheck.location': '位置情報',
+  'arCheck.location.prompt': '現在地と湖までの距離を確かめるには、位置情報の利用を許可してください。',
+  'arCheck.location.action': '現在地を確認する',
+  'arCheck.location.ok': '現在地を確認できました。',
+  'arCheck.location.denied': '位置情報の利用が許可されていません。ブラウザの設定（iPhoneでは「設定」→「プライバシーとセキュリティ」→「位置情報サービス」）で、このサイトへの許可をオンにしてください。',
+  'arCheck.location.unavailable': '現在地を取得できませんでした。端末の位置情報サービスがオンになっているか確かめ、空の見える場所でもう一度お試しください。',
+  'arCheck.location.unsupported': 'このブラウザは位置情報に対応していません。',
+  'arCheck.distance': '奥多摩湖までの距離',
+  'arCheck.distance.unknown': '現在地がわかると確かめられます。',
+  'arCheck.distance.near': '湖のそばにいます（約{distance}）。',
+  'arCheck.distance.far': '湖から約{distance}離れています。3Dモードは奥多摩湖の周辺でのみ使えます。',
+  'arCheck.orientation': 'コンパス（端末の向き）',
+  'arCheck.orientation.prompt': '端末の向きを読み取るには、「モーションと画面の向き」へのアクセスを許可してください。',
+  'arCheck.orientation.action': 'コンパスを許可する',
+  'arCheck.orientation.ok': '端末の向きを読み取れます。',
+  'arCheck.orientation.denied': '「モーションと画面の向き」へのアクセスが許可されていません。Safariを一度閉じて開き直し、もう一度「許可」を選んでください。',
+  'arCheck.orientation.silent': '方位センサーが見つかりません。コンパスのあるスマートフォンやタブレットで開いてください。',
+  'arCheck.orientation.unsupported': 'このブラウザは端末の向きの読み取りに対応していません。最新のSafariかChromeでお試しください。',
+  'arCheck.camera': 'カメラ',
+  'arCheck.camera.ok': 'カメラを使えます。アプリの起動後に、カメラの許可を求められます。',
+  'arCheck.camera.denied': 'カメラの利用が許可されていません。ブラウザの設定で、このサイトへのカメラの許可をオンにしてください。',
+  'arCheck.camera.missing': 'カメラが見つかりません。カメラのある端末で開いてください。',
+  'arCheck.camera.unsupported': 'このブラウザはカメラの利用に対応していません。最新のSafariかChromeでお試しください。',
+  'arCheck.recommend3d': '準備ができています。3Dモードで、湖の景色にかつての村を重ねてご覧ください。',
+  'arCheck.recommend2dFar': '湖から離れているため、2Dモード（地図と資料）がおすすめです。湖を訪れたときは3Dモードもお試しください。',
+  'arCheck.recommend2d': '今は2Dモード（地図と資料）がおすすめです。3Dモードを使うには、上の項目を確かめてください。',
+  'arCheck.launch': 'アプリを開く',
+  'postcard.hint': '選ぶとポストカードを作れます',
+  'postcard.rights': 'この写真の利用条件：{rights}',
+  'postcard.preview': 'ポストカードのプレビュー：{caption}',
+  'postcard.error': '画像を作れませんでした。別の写真を選ぶか、ページを読み込み直してください。',
+  'postcard.shareError': '共有できませんでした。「画像を保存」で保存してからお使いください。',
+  'search.button': '検索',
+  'search.loading': '検索の準備をしています…',
+  'search.hint': 'ページの文章・伝統芸能・写真・地名から探せます。漢字の読み（ひらがな）でも探せます。',
+  'search.none': '「{query}」に一致するものは見つかりませんでした',
+  'search.count': '{count}件見つかりました',
+  'search.kind.heritage': '伝統芸能',
+  'search.kind.photo': '写真',
+  'search.kind.place': '地図',
+  'map.kind.hamlet': '旧集落',
+  'map.kind.landmark': '目印',
+  'map.pinLabel': '{name}（{kind}）',
+  'map.show': '地図で見る',
+  'map.photos': '写真',
+  'map.app': 'ARアプリを開く',
+  'map.heritage': '伝わる芸能を見る',
+  'news.category.event': 'イベント',
+  'news.category.media': 'メディア掲載',
+  'news.category.update': 'アプリ・サイト更新',
+  'news.new': 'NEW',
+  'news.more': 'さらに表示（{count}件）',
+  'news.permalink': 'リンク',
+  'news.permalinkLabel': '「{title}」へのリンク',
+  'sd.organization.name': '川野車人形保存会',
+  'sd.organization.description': '奥多摩湖の湖底に沈んだ小河内村をARで可視化するプロジェクト',
+  'sd.website.description':
+    '奥多摩湖の湖底に沈んだ小河内村をARで可視化するプロジェクト「小河内タイムレンズ」の公式サイト',
+};
+
+let currentLocale = DEFAULT_LOCALE;
+let dictionary = {};          // active non-Japanese dictionary
+const pageStrings = {};       // Japanese text captured from index.html
+const dictionaryRequests = {};
+
+/** Split a data-i18n-attr value into [attribute, key] pairs. */
+const parseAttrKeys = (el) =>
+  el.dataset.i18nAttr
+    .split(';')
+    .map((pair) => pair.split(':').map((part) => part.trim()))
+    .filter(([attr, key]) => attr && key);
+
+/** Look a key up in the active language, then Japanese; `fallback` otherwise. */
+const translateValue = (key, fallback) =>
+  dictionary[key] ?? JA_STRINGS[key] ?? pageStrings[key] ?? fallback;
+
+/**
+ * A text field of a data-file entry in the current language: its
+ * `translations[locale][field]` if set, otherwise the Japanese value.
+ * @param {{ translations: Object<string, Object<string, string>> }} entry
+ * @param {string} field
+ * @returns {string}
+ */
+const localizedField = (entry, field) => {
+  const value = entry.translations[currentLocale]?.[field];
+  return typeof value === 'string' && value.trim() ? value : entry[field];
+};
+
+/**
+ * Translate a key, filling `{name}` placeholders from params.
+ * @param {string} key
+ * @param {Object<string, string|number>} [params]
+ * @returns {string}
+ */
+const t = (key, params = {}) =>
+  translateValue(key, key).replace(/\{(\w+)\}/g, (match, name) =>
+    name in params ? String(params[name]) : match
+  );
+
+/** Remember the Japanese strings in the markup before anything is swapped. */
+const capturePageStrings = () => {
+  document.querySelectorAll('[data-i18n]').forEach((el) => {
+    pageStrings[el.dataset.i18n] ??= el.textContent;
+  });
+  document.querySelectorAll('[data-i18n-html]').forEach((el) => {
+    pageStrings[el.dataset.i18nHtml] ??= el.innerHTML;
+  });
+  document.querySelectorAll('[data-i18n-attr]').forEach((el) => {
+    parseAttrKeys(el).forEach(([attr, key]) => {
+      pageStrings[key] ??= el.getAttribute(attr) ?? '';
+    });
+  });
+};
+
+const applyTranslations = () => {
+  document.querySelectorAll('[data-i18n]').forEach((el) => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  // Dictionaries are first-party files, so their markup (<br>, <strong>) is trusted.
+  document.querySelectorAll('[data-i18n-html]').forEach((el) => {
+    el.innerHTML = t(el.dataset.i18nHtml);
+  });
+  document.querySelectorAll('[data-i18n-attr]').forEach((el) => {
+    parseAttrKeys(el).forEach(([attr, key]) => el.setAttribute(attr, t(key)));
+  });
+};
+
+/**
+ * Map a BCP 47 tag to a supported locale, or null.
+ * Chinese tags pick the script from the region when none is given.
+ * @param {string|null} tag
+ * @returns {string|null}
+ */
+const matchLocale = (tag) => {
+  if (!tag) return null;
+  const parts = tag.toLowerCase().split(/[-_]/);
+  const exact = Object.keys(LOCALES).find((code) => code.toLowerCase() === parts.join('-'));
+  if (exact) return exact;
+  if (parts[0] === 'zh') {
+    return parts.some((part) => ['hant', 'tw', 'hk', 'mo'].includes(part)) ? 'zh-Hant' : 'zh-Hans';
+  }
+  return LOCALES[parts[0]] ? parts[0] : null;
+};
+
+const readStoredLocale = () => {
+  try {
+    return localStorage.getItem(LOCALE_STORAGE_KEY);
+  } catch {
+    return null; // storage disabled (private mode, embedded webviews)
+  }
+};
+
+/** ?lang= wins, then the saved choice, then the browser languages. */
+const detectLocale = () => {
+  const fromUrl = matchLocale(new URLSearchParams(location.search).get('lang'));
+  if (fromUrl) return fromUrl;
+
+  const stored = matchLocale(readStoredLocale());
+  if (stored) return stored;
+
+  const preferred = navigator.languages?.length ? navigator.languages : [navigator.language];
+  for (const tag of preferred) {
+    const locale = matchLocale(tag);
+    if (locale) return locale;
+  }
+  return DEFAULT_LOCALE;
+};
+
+const loadDictionary = (locale) => {
+  if (locale === DEFAULT_LOCALE) return Promise.resolve({});
+  dictionaryRequests[locale] ??= fetchJSON(`locales/${locale}.json`).catch((err) => {
+    delete dictionaryRequests[locale];
+    throw err;
+  });
+  return dictionaryRequests[locale];
+};
+
+/** Shareable URL for a locale: the bare site URL for Japanese, ?lang= otherwise. */
+const localeUrl = (locale, base = SITE_URL) => {
+  const url = new URL(base);
+  if (locale === DEFAULT_LOCALE) url.searchParams.delete('lang');
+  else url.searchParams.set('lang', locale);
+  return url.toString();
+};
+
+/** <html lang>, OGP locale, canonical URL and JSON-LD for the active locale. */
+const updateLocaleMetadata = () => {
+  document.documentElement.lang = currentLocale;
+
+  const ogLocale = document.querySelector('meta[property="og:locale"]');
+  ogLocale?.setAttribute('content', LOCALES[currentLocale].ogLocale);
+  document.querySelectorAll('meta[property="og:locale:alternate"]').forEach((meta, i) => {
+    const others = Object.keys(LOCALES).filter((code) => code !== currentLocale);
+    meta.setAttribute('content', LOCALES[others[i]]?.ogLocale ?? '');
+  });
+
+  const url = localeUrl(currentLocale);
+  document.querySelector('link[rel="canonical"]')?.setAttribute('href', url);
+  document.querySelector('meta[property="og:url"]')?.setAttribute('content', url);
+
+  injectStructuredData();
+};
+
+/**
+ * Switch the page language. Components listen for the `localechange`
+ * event on document to re-render the text they generate themselves.
+ * @param {string} locale
+ * @param {{ persist?: boolean }} [options] persist: remember as the user's choice
+ */
+const setLocale = async (locale, { persist = false } = {}) => {
+  if (!LOCALES[locale]) return;
+
+  try {
+    dictionary = await loadDictionary(locale);
+  } catch (err) {
+    console.warn(`Locale "${locale}" could not be loaded:`, err);
+    return;
+  }
+  currentLocale = locale;
+
+  if (persist) {
+    try {
+      localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    } catch {
+      // The choice still applies to this page view.
+    }
+  }
+
+  // Keep ?lang= in the address bar so the page can be shared as-is.
+  const url = localeUrl(locale, location.href);
+  if (url !== location.href) history.replaceState(history.state, '', url);
+
+  applyTranslations();
+  updateLocaleMetadata();
+
+  const select = document.querySelector('.lang-select');
+  if (select) select.value = locale;
+
+  document.dispatchEvent(new CustomEvent('localechange', { detail: { locale } }));
+};
+
+const initI18n = () => {
+  capturePageStrings();
+
+  // Language switcher, placed before the app link in the nav.
+  const navLinks = document.querySelector('.nav-links');
+  if (navLinks) {
+    const item = document.createElement('li');
+    item.className = 'nav-lang';
+
+    const select = document.createElement('select');
+    select.className = 'lang-select';
+    select.dataset.i18nAttr = 'aria-label:lang.label';
+    select.setAttribute('aria-label', t('lang.label'));
+    Object.entries(LOCALES).forEach(([code, { label }]) => {
+      const option = document.createElement('option');
+      option.value = code;
+      option.lang = code;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.addEventListener('change', () => setLocale(select.value, { persist: true }));
+
+    item.appendChild(select);
+    const cta = navLinks.querySelector('.nav-cta')?.closest('li');
+    navLinks.insertBefore(item, cta ?? null);
+  }
+
+  // Japanese metadata first, so it is in place even if a dictionary fails to load.
+  updateLocaleMetadata();
+  const locale = detectLocale();
+  if (locale !== DEFAULT_LOCALE) setLocale(locale);
+};
+
+/* =================================================================
+   16. HISTORY TIMELINE (data/timeline.json)
+   ================================================================= */
+
+// Entries are rendered in file order. `photos` lists ids from the photo
+// manifest; `translations` may override title / text per locale.
+const TIMELINE_URL = 'data/timeline.json';
+
+/**
+ * Validate one timeline entry.
+ * @param {object} entry
+ * @returns {object|null} null when the entry is unusable
+ */
+const normalizeTimelineEntry = (entry) => {
+  if (!entry || typeof entry !== 'object') return null;
+  if (!Number.isInteger(entry.year)) return null;
+  if (typeof entry.title !== 'string' || !entry.title.trim()) return null;
+
+  return {
+    id: typeof entry.id === 'string' && entry.id.trim() ? entry.id.trim() : String(entry.year),
+    year: entry.year,
+    circa: entry.circa === true,
+    decade: entry.decade === true,
+    title: entry.title.trim(),
+    text: typeof entry.text === 'string' ? entry.text.trim() : '',
+    photoIds: Array.isArray(entry.photos) ? entry.photos.map(String) : [],
+    translations: entry.translations && typeof entry.translations === 'object' ? entry.translations : {},
+  };
+};
+
+/** "1957年", "1926年頃" or "1930年代" in the current language. */
+const formatTimelineYear = (entry) =>
+  entry.decade ? t('photo.decade', { decade: entry.year }) : formatPhotoYear(entry);
+
+const initTimeline = async () => {
+  const section = document.querySelector('.section-timeline');
+  const list = section?.querySelector('.timeline-list');
+  if (!list) return;
+
+  let data;
+  try {
+    data = await fetchJSON(TIMELINE_URL);
+  } catch (err) {
+    console.warn('Timeline could not be loaded:', err);
+    return;
+  }
+
+  const entries = (Array.isArray(data?.events) ? data.events : [])
+    .map(normalizeTimelineEntry)
+    .filter(Boolean);
+  if (!entries.length) return;
+
+  const photosById = new Map((await loadPhotoManifest()).map((photo) => [photo.id, photo]));
+  const currentYearEl = section.querySelector('.timeline-current');
+  const progressEl = section.querySelector('.timeline-progress');
+
+  // ── Entries ───────────────────────────────────────────────
+  const items = entries.map((entry, i) => {
+    const photos = entry.photoIds.map((id) => photosById.get(id)).filter(Boolean);
+
+    const li = document.createElement('li');
+    li.className = 'timeline-entry slide-up';
+    li.dataset.year = String(entry.year);
+    li.tabIndex = i === 0 ? 0 : -1;
+    li.setAttribute('aria-labelledby', `timeline-${entry.id}-title`);
+
+    const marker = document.createElement('span');
+    marker.className = 'timeline-marker';
+    marker.setAttribute('aria-hidden', 'true');
+
+    const year = document.createElement('time');
+    year.className = 'timeline-year';
+    year.dateTime = String(entry.year);
+
+    const title = document.createElement('h3');
+    title.className = 'timeline-title';
+    title.id = `timeline-${entry.id}-title`;
+
+    const text = document.createElement('p');
+    text.className = 'timeline-text';
+
+    li.append(marker, year, title, text);
+
+    const item = { entry, li, year, title, text, photos, toggle: null, panel: null, figures: [] };
+
+    if (photos.length) {
+      const panel = document.createElement('div');
+      panel.className = 'timeline-photos';
+      panel.id = `timeline-${entry.id}-photos`;
+      panel.hidden = true;
+
+      item.figures = photos.map((photo) => {
+        const figure = document.createElement('figure');
+        figure.className = 'timeline-photo';
+
+        // Opens the archive lightbox through its #photo/<id> route.
+        const link = document.createElement('a');
+        link.href = `#photo/${photo.id}`;
+
+        const img = document.createElement('img');
+        img.dataset.src = photo.src;
+        img.loading = 'lazy';
+        if (photo.width && photo.height) {
+          img.width = photo.width;
+          img.height = photo.height;
+        }
+
+        const caption = document.createElement('figcaption');
+        caption.textContent = photo.caption;
+        caption.setAttribute('aria-hidden', 'true');
+
+        link.appendChild(img);
+        figure.append(link, caption);
+        panel.appendChild(figure);
+        return { photo, img };
+      });
+
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'timeline-toggle';
+      toggle.setAttribute('aria-expanded', 'false');
+      toggle.setAttribute('aria-controls', panel.id);
+
+      toggle.addEventListener('click', () => {
+        const open = panel.hidden;
+        panel.hidden = !open;
+        toggle.setAttribute('aria-expanded', String(open));
+        li.classList.toggle('is-open', open);
+        // Fetch the photos only the first time the entry is opened.
+        if (open) {
+          item.figures.forEach(({ img }) => {
+            if (img.dataset.src) {
+              img.src = img.dataset.src;
+              img.removeAttribute('data-src');
+            }
+          });
+        }
+        renderEntry(item);
+      });
+
+      li.append(toggle, panel);
+      Object.assign(item, { toggle, panel });
+    }
+
+    list.appendChild(li);
+    return item;
+  });
+
+  const renderEntry = (item) => {
+    const { entry, year, title, text, toggle, panel, photos, figures } = item;
+    year.textContent = formatTimelineYear(entry);
+    title.textContent = localizedField(entry, 'title');
+    text.textContent = localizedField(entry, 'text');
+    text.hidden = !text.textContent;
+    if (toggle) {
+      toggle.textContent = panel.hidden
+        ? t('timeline.showPhotos', { count: photos.length })
+        : t('timeline.hidePhotos');
+    }
+    figures.forEach(({ photo, img }) => { img.alt = photoAltText(photo); });
+  };
+
+  items.forEach(renderEntry);
+  revealOnScroll(items.map(({ li }) => li));
+
+  // ── Active year: the entry crossing the middle of the viewport ──
+  let activeItem = null;
+
+  const setActive = (item) => {
+    if (item === activeItem) return;
+    activeItem?.li.classList.remove('is-active');
+    activeItem = item;
+    item.li.classList.add('is-active');
+    if (currentYearEl) currentYearEl.textContent = formatTimelineYear(item.entry);
+  };
+
+  const activeObserver = new IntersectionObserver(
+    (observed) => {
+      observed.forEach((record) => {
+        if (!record.isIntersecting) return;
+        const item = items.find(({ li }) => li === record.target);
+        if (item) setActive(item);
+      });
+    },
+    { rootMargin: '-50% 0px -50% 0px', threshold: 0 }
+  );
+  items.forEach(({ li }) => activeObserver.observe(li));
+  setActive(items[0]);
+
+  document.addEventListener('localechange', () => {
+    items.forEach(renderEntry);
+    if (currentYearEl) currentYearEl.textContent = formatTimelineYear(activeItem.entry);
+  });
+
+  // ── Scroll-driven progress line ───────────────────────────
+  // With motion off the CSS hides it and shows the whole line instead.
+  if (progressEl) {
+    const updateProgress = () => {
+      if (isMotionReduced()) return;
+      const rect = list.getBoundingClientRect();
+      const passed = window.innerHeight / 2 - rect.top;
+      const ratio = rect.height ? Math.max(0, Math.min(1, passed / rect.height)) : 0;
+      progressEl.style.transform = `scaleY(${ratio.toFixed(3)})`;
+    };
+    window.addEventListener('scroll', rafThrottle(updateProgress), { passive: true });
+    document.addEventListener('motionchange', updateProgress);
+    updateProgress();
+  }
+
+  // ── Keyboard: arrows / Home / End move between entries ─────
+  const focusEntry = (index) => {
+    const item = items[index];
+    items.forEach(({ li }) => { li.tabIndex = li === item.li ? 0 : -1; });
+    item.li.focus({ preventScroll: true });
+    item.li.scrollIntoView({
+      behavior: isMotionReduced() ? 'auto' : 'smooth',
+      block: 'center',
+    });
+    setActive(item);
+  };
+
+  list.addEventListener('keydown', (e) => {
+    const current = items.findIndex(({ li }) => li.contains(e.target));
+    if (current === -1 || e.target.closest('.timeline-photos')) return;
+
+    const last = items.length - 1;
+    const next = {
+      ArrowDown: Math.min(current + 1, last),
+      ArrowUp: Math.max(current - 1, 0),
+      Home: 0,
+      End: last,
+    }[e.key];
+    if (next === undefined) return;
+    e.preventDefault();
+    focusEntry(next);
+  });
+
+  // Clicking inside an entry makes it the keyboard starting point.
+  list.addEventListener('focusin', (e) => {
+    const item = items.find(({ li }) => li.contains(e.target));
+    if (item) items.forEach(({ li }) => { li.tabIndex = li === item.li ? 0 : -1; });
+  });
+};
+
+/* =================================================================
+   17. CONSENT & ANALYTICS
+   ================================================================= */
+
+// Google Analytics only runs on the production site, and only once the
+// visitor accepts the consent banner. Declining loads nothing third-party.
+const GA_MEASUREMENT_ID = 'G-LG859JQVTQ';
+const CONSENT_STORAGE_KEY = 'ogouchi-time-lens:analytics-consent';
+
+/**
+ * Receives every tracked event; swap it to send events elsewhere.
+ * @typedef {(name: string, params: Object<string, string|number>) => void} AnalyticsTransport
+ */
+
+/** @type {AnalyticsTransport|null} */
+let analyticsTransport = null;
+
+/** @param {AnalyticsTransport|null} transport  null stops tracking */
+const setAnalyticsTransport = (transport) => {
+  analyticsTransport = transport;
+};
+
+/**
+ * Emit a named event. A no-op until a transport is set (i.e. without consent).
+ * @param {string} name  e.g. 'cta_click'
+ * @param {Object<string, string|number>} [params]
+ */
+const trackEvent = (name, params = {}) => {
+  if (!analyticsTransport) return;
+  try {
+    analyticsTransport(name, { ...params, language: currentLocale });
+  } catch (err) {
+    console.warn('Analytics transport failed:', err);
+  }
+};
+
+const isProductionSite = () =>
+  location.origin + location.pathname.replace(/\/$/, '') === SITE_URL.replace(/\/$/, '');
+
+/** Load gtag.js (once) and forward events to GA4. */
+const createGtagTransport = (measurementId) => {
+  window.dataLayer = window.dataLayer || [];
+  if (!window.gtag) {
+    // gtag.js expects the arguments object itself in the data layer.
+    window.gtag = function gtag() { window.dataLayer.push(arguments); };
+    window.gtag('js', new Date());
+    window.gtag('config', measurementId);
+
+    const script = document.createElement('script');
+    script.async = true;
+    script.src = `https://www.googletagmanager.com/gtag/js?id=${measurementId}`;
+    document.head.appendChild(script);
+  }
+  window.gtag('consent', 'update', { analytics_storage: 'granted' });
+  return (name, params) => window.gtag('event', name, params);
+};
+
+/** Log events instead of sending them (`?analytics=debug`). */
+const consoleTransport = (name, params) => console.info('[analytics]', name, params);
+
+const readConsent = () => {
+  try {
+    return localStorage.getItem(CONSENT_STORAGE_KEY);
+  } catch {
+    return null;
+  }
+};
+
+const applyConsent = (granted) => {
+  if (granted) {
+    setAnalyticsTransport(createGtagTransport(GA_MEASUREMENT_ID));
+    return;
+  }
+
+  setAnalyticsTransport(null);
+  // Withdrawn after accepting: tell gtag and drop its cookies.
+  window.gtag?.('consent', 'update', { analytics_storage: 'denied' });
+  document.cookie.split(';')
+    .map((cookie) => cookie.split('=')[0].trim())
+    .filter((name) => name.startsWith('_ga'))
+    .forEach((name) => {
+      document.cookie = `${name}=; Max-Age=0; path=/; domain=${location.hostname}`;
+      document.cookie = `${name}=; Max-Age=0; path=/`;
+    });
+};
+
+const setConsent = (granted) => {
+  try {
+    localStorage.setItem(CONSENT_STORAGE_KEY, granted ? 'granted' : 'denied');
+  } catch {
+    // Private mode: the choice holds for this page view only.
+  }
+  applyConsent(granted);
+};
+
+/**
+ * Ask whether analytics may load. Both choices are equally prominent
+ * and either one closes the banner.
+ * @param {HTMLElement} [returnFocus]  focused again after choosing
+ */
+const showConsentBanner = (returnFocus) => {
+  if (document.querySelector('.consent-banner')) return;
+
+  const banner = document.createElement('div');
+  banner.className = 'consent-banner';
+  banner.setAttribute('role', 'region');
+  banner.dataset.i18nAttr = 'aria-label:consent.label';
+  banner.setAttribute('aria-label', t('consent.label'));
+
+  const message = document.createElement('p');
+  message.dataset.i18n = 'consent.message';
+  message.textContent = t('consent.message');
+
+  const actions = document.createElement('div');
+  actions.className = 'consent-actions';
+
+  [['denied', 'btn btn-secondary btn-sm', 'consent.decline'],
+    ['granted', 'btn btn-primary btn-sm', 'consent.accept']].forEach(([value, className, key]) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.dataset.i18n = key;
+    button.textContent = t(key);
+    button.addEventListener('click', () => {
+      setConsent(value === 'granted');
+      banner.remove();
+      returnFocus?.focus();
+    });
+    actions.appendChild(button);
+  });
+
+  banner.append(message, actions);
+  // Early in the tab order, though it sits at the bottom of the screen.
+  document.body.prepend(banner);
+};
+
+/**
+ * Wire up consent and the events the team measures:
+ *   cta_click        links marked data-track="<cta>" (+ data-track-placement)
+ *   section_view     a section reaches the middle of the viewport
+ *   video_play       a video facade starts a player (see section 8)
+ *   carousel_interaction  prev/next, dots, keys, drag, zoom, rotation
+ *   heritage_open    a heritage detail dialog opens (see section 18)
+ */
+const initAnalytics = () => {
+  const settingsBtn = document.querySelector('.consent-settings');
+
+  if (new URLSearchParams(location.search).get('analytics') === 'debug') {
+    setAnalyticsTransport(consoleTransport);
+  } else if (isProductionSite()) {
+    const consent = readConsent();
+    if (consent === 'granted') applyConsent(true);
+    else if (!consent) showConsentBanner();
+
+    if (settingsBtn) {
+      settingsBtn.hidden = false;
+      settingsBtn.addEventListener('click', () => showConsentBanner(settingsBtn));
+    }
+  }
+
+  document.addEventListener('click', (e) => {
+    const link = e.target.closest('[data-track]');
+    if (!link) return;
+    trackEvent('cta_click', {
+      cta: link.dataset.track,
+      placement: link.dataset.trackPlacement || link.closest('section[id]')?.id || 'page',
+    });
+  });
+
+  observeOnce(
+    document.querySelectorAll('section[id]'),
+    (section) => trackEvent('section_view', { section: section.id }),
+    { rootMargin: '0px 0px -50% 0px', threshold: 0 }
+  );
+};
+
+/* =================================================================
+   18. HERITAGE DETAILS (data/heritage.json)
+   ================================================================= */
+
+// Each `.heritage-card[data-heritage-id]` gets a link to #heritage/<id>,
+// which opens the detail dialog. Following the link adds a history entry,
+// so the browser's Back button closes the dialog again.
+const HERITAGE_URL = 'data/heritage.json';
+const HERITAGE_HASH_PATTERN = /^#heritage\/([\w-]+)$/;
+const AR_APP_URL = 'https://code-for-okutama.github.io/ogouchi-time-lens/';
+const HERITAGE_TEXT_FIELDS = ['name', 'designation', 'summary', 'history', 'season', 'group'];
+
+/**
+ * Validate one heritage entry. `id` and `name` are required.
+ * @returns {object|null}
+ */
+const normalizeHeritageItem = (item) => {
+  if (!item || typeof item !== 'object') return null;
+  if (typeof item.id !== 'string' || !/^[\w-]+$/.test(item.id)) return null;
+  if (typeof item.name !== 'string' || !item.name.trim()) return null;
+
+  const text = Object.fromEntries(HERITAGE_TEXT_FIELDS.map((field) => [
+    field,
+    typeof item[field] === 'string' ? item[field].trim() : '',
+  ]));
+
+  return {
+    ...text,
+    id: item.id,
+    image: typeof item.image === 'string' ? item.image : '',
+    video: typeof item.video === 'string' ? item.video : '',
+    photoIds: Array.isArray(item.photos) ? item.photos.map(String) : [],
+    tales: Number.isInteger(item.tales) && item.tales > 0 ? item.tales : 0,
+    // Path within the AR app ("" = its start page); null = no link.
+    app: typeof item.app === 'string' ? item.app : null,
+    translations: item.translations && typeof item.translations === 'object' ? item.translations : {},
+  };
+};
+
+let heritageItemsPromise = null;
+
+/**
+ * Load data/heritage.json once and return the valid entries.
+ * Shared by the detail dialogs and the structured data; a failed request
+ * resolves to an empty list.
+ * @returns {Promise<object[]>}
+ */
+const loadHeritageItems = () => {
+  if (!heritageItemsPromise) {
+    heritageItemsPromise = fetchJSON(HERITAGE_URL)
+      .then((data) => (Array.isArray(data?.items) ? data.items : [])
+        .map(normalizeHeritageItem)
+        .filter(Boolean))
+      .catch((err) => {
+        console.warn('Heritage details could not be loaded:', err);
+        return [];
+      });
+  }
+  return heritageItemsPromise;
+};
+
+const initHeritageDetails = async () => {
+  const cards = document.querySelectorAll('.heritage-card[data-heritage-id]');
+  const dialog = document.querySelector('.heritage-dialog');
+  if (!cards.length || !dialog) return;
+
+  const items = await loadHeritageItems();
+  if (!items.length) return;
+  const byId = new Map(items.map((item) => [item.id, item]));
+  const photosById = new Map((await loadPhotoManifest()).map((photo) => [photo.id, photo]));
+
+  // ── Card links ────────────────────────────────────────────
+  const moreLinks = [];
+  cards.forEach((card) => {
+    const id = card.dataset.heritageId;
+    if (!byId.has(id)) return;
+
+    const link = document.createElement('a');
+    link.className = 'heritage-more';
+    link.href = `#heritage/${id}`;
+    link.dataset.i18n = 'heritage.more';
+    link.textContent = t('heritage.more');
+    (card.querySelector('h3') || card).after(link);
+    moreLinks.push(link);
+  });
+
+  // "詳しく見る" alone is ambiguous among five cards. elementText() leaves
+  // out furigana, whether or not the heading has been annotated yet.
+  const labelMoreLinks = () => {
+    moreLinks.forEach((link) => {
+      const name = elementText(link.closest('.heritage-card').querySelector('h3'));
+      if (name) link.setAttribute('aria-label', t('heritage.moreAbout', { name }));
+    });
+  };
+
+  // ── Dialog ────────────────────────────────────────────────
+  const titleEl = dialog.querySelector('.heritage-dialog-title');
+  const designationEl = dialog.querySelector('.heritage-dialog-designation');
+  const photoEl = dialog.querySelector('.heritage-dialog-photo');
+  const body = dialog.querySelector('.heritage-dialog-body');
+
+  let current = null;
+  let openedByNavigation = false;
+  let returnFocus = null;
+
+  const heading = (key) => {
+    const h3 = document.createElement('h3');
+    h3.className = 'heritage-dialog-heading';
+    h3.textContent = t(key);
+    return h3;
+  };
+
+  const render = (item) => {
+    const name = localizedField(item, 'name');
+    titleEl.textContent = name;
+    designationEl.textContent = localizedField(item, 'designation');
+    designationEl.hidden = !designationEl.textContent;
+    photoEl.hidden = !item.image;
+    if (item.image) photoEl.src = item.image;
+
+    const parts = [];
+
+    const summary = localizedField(item, 'summary');
+    if (summary) {
+      const p = document.createElement('p');
+      p.className = 'heritage-dialog-summary';
+      p.textContent = summary;
+      parts.push(p);
+    }
+
+    const facts = document.createElement('dl');
+    facts.className = 'heritage-dialog-facts';
+    [['season', 'heritage.detail.season'], ['group', 'heritage.detail.group']].forEach(([field, key]) => {
+      const value = localizedField(item, field);
+      if (!value) return;
+      const dt = document.createElement('dt');
+      dt.textContent = t(key);
+      const dd = document.createElement('dd');
+      dd.textContent = value;
+      facts.append(dt, dd);
+    });
+    if (facts.children.length) parts.push(facts);
+
+    const history = localizedField(item, 'history');
+    if (history) {
+      parts.push(heading('heritage.detail.history'));
+      // Blank lines separate paragraphs.
+      history.split(/\n\s*\n/).forEach((paragraph) => {
+        const p = document.createElement('p');
+        p.textContent = paragraph.trim();
+        parts.push(p);
+      });
+    }
+
+    const photos = item.photoIds.map((id) => photosById.get(id)).filter(Boolean);
+    if (photos.length) {
+      parts.push(heading('heritage.detail.photos'));
+      const list = document.createElement('ul');
+      list.className = 'heritage-dialog-photos';
+      photos.forEach((photo) => {
+        const link = document.createElement('a');
+        link.href = `#photo/${photo.id}`;
+        link.dataset.photoId = photo.id;
+
+        const img = document.createElement('img');
+        img.src = photo.src;
+        img.alt = photoAltText(photo);
+        img.loading = 'lazy';
+        if (photo.width && photo.height) {
+          img.width = photo.width;
+          img.height = photo.height;
+        }
+
+        const li = document.createElement('li');
+        link.appendChild(img);
+        li.appendChild(link);
+        list.appendChild(li);
+      });
+      parts.push(list);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'heritage-dialog-actions';
+
+    if (item.video) {
+      // Plays in the video dialog, stacked on top of this one (section 8).
+      const video = document.createElement('a');
+      video.className = 'heritage-link video-facade';
+      video.href = `https://www.youtube.com/watch?v=${encodeURIComponent(item.video)}`;
+      video.target = '_blank';
+      video.rel = 'noopener noreferrer';
+      video.dataset.videoId = item.video;
+      video.dataset.mode = 'modal';
+      video.dataset.title = name;
+      video.dataset.track = 'heritage_video';
+      video.dataset.trackPlacement = `heritage-${item.id}`;
+      video.textContent = t('heritage.watch');
+      actions.appendChild(video);
+    }
+
+    if (item.app !== null) {
+      const app = document.createElement('a');
+      app.className = 'btn btn-primary btn-sm';
+      app.href = new URL(item.app, AR_APP_URL).href;
+      app.target = '_blank';
+      app.rel = 'noopener noreferrer';
+      app.dataset.track = 'ar_app';
+      app.dataset.trackPlacement = `heritage-${item.id}`;
+      app.dataset.arCheck = '';
+      app.textContent = t('heritage.detail.app');
+      actions.appendChild(app);
+    }
+    if (actions.children.length) parts.push(actions);
+
+    body.replaceChildren(...parts);
+  };
+
+  const openItem = (id, fromNavigation) => {
+    const item = byId.get(id);
+    if (!item) return;
+
+    current = item;
+    render(item);
+    if (!dialog.open) {
+      const active = document.activeElement;
+      returnFocus = active && active !== document.body ? active : null;
+      openedByNavigation = fromNavigation;
+      dialog.showModal();
+      body.scrollTop = 0;
+    }
+    trackEvent('heritage_open', { heritage: id });
+  };
+
+  const syncWithHash = (fromNavigation) => {
+    const match = location.hash.match(HERITAGE_HASH_PATTERN);
+    if (match) {
+      openItem(match[1], fromNavigation);
+    } else if (dialog.open) {
+      // Back (or any other route): the entry we opened on is gone.
+      openedByNavigation = false;
+      dialog.close();
+    }
+  };
+
+  dialog.addEventListener('close', () => {
+    if (openedByNavigation) {
+      // Undo our own history entry so Back doesn't reopen the dialog.
+      openedByNavigation = false;
+      history.back();
+    } else if (HERITAGE_HASH_PATTERN.test(location.hash)) {
+      // Opened from a shared link: no entry of ours to go back to.
+      history.replaceState(null, '', '#heritage');
+    }
+
+    const cardLink = moreLinks.find((link) => link.getAttribute('href') === `#heritage/${current?.id}`);
+    (returnFocus?.isConnected ? returnFocus : cardLink)?.focus();
+    current = null;
+  });
+
+  dialog.querySelector('.heritage-dialog-close').addEventListener('click', () => dialog.close());
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) dialog.close();
+  });
+
+  // Related photos open in the lightbox on top, keeping this route.
+  body.addEventListener('click', (e) => {
+    const link = e.target.closest('a[data-photo-id]');
+    if (!link) return;
+    e.preventDefault();
+    document.dispatchEvent(new CustomEvent('openphoto', { detail: { id: link.dataset.photoId } }));
+  });
+
+  window.addEventListener('hashchange', () => syncWithHash(true));
+  document.addEventListener('localechange', () => {
+    labelMoreLinks();
+    if (current) render(current);
+  });
+
+  labelMoreLinks();
+  syncWithHash(false);
+};
+
+/* =================================================================
+   19. HAMLET MAP (data/gazetteer.json)
+   ================================================================= */
+
+// Pins are placed by projecting each place's lat/lng onto the old map
+// through `map.bounds` (the image's edges in degrees). At this scale a
+// plain linear projection is accurate enough.
+const GAZETTEER_URL = 'data/gazetteer.json';
+const MAP_PLACE_KINDS = ['hamlet', 'landmark'];
+const MAP_KEY_PAN = 60; // px per arrow key press
+
+/**
+ * Validate one gazetteer entry and work out its position on the map
+ * (percent of the image). Places outside the map are dropped.
+ * @returns {object|null}
+ */
+const normalizeMapPlace = (place, bounds) => {
+  if (!place || typeof place !== 'object') return null;
+  if (typeof place.id !== 'string' || !/^[\w-]+$/.test(place.id)) return null;
+  if (typeof place.name !== 'string' || !place.name.trim()) return null;
+  if (!Number.isFinite(place.lat) || !Number.isFinite(place.lng)) return null;
+
+  const x = ((place.lng - bounds.west) / (bounds.east - bounds.west)) * 100;
+  const y = ((bounds.north - place.lat) / (bounds.north - bounds.south)) * 100;
+  if (x < 0 || x > 100 || y < 0 || y > 100) return null;
+
+  return {
+    id: place.id,
+    name: place.name.trim(),
+    reading: typeof place.reading === 'string' ? place.reading.trim() : '',
+    kind: MAP_PLACE_KINDS.includes(place.kind) ? place.kind : 'landmark',
+    lat: place.lat,
+    lng: place.lng,
+    x,
+    y,
+    description: typeof place.description === 'string' ? place.description.trim() : '',
+    photoIds: Array.isArray(place.photos) ? place.photos.map(String) : [],
+    heritage: typeof place.heritage === 'string' ? place.heritage : '',
+    translations: place.translations && typeof place.translations === 'object' ? place.translations : {},
+  };
+};
+
+/** `map.bounds` with all four edges as numbers, north above south, west left of east. */
+const isMapBounds = (bounds) =>
+  !!bounds &&
+  ['north', 'south', 'west', 'east'].every((edge) => Number.isFinite(bounds[edge])) &&
+  bounds.north > bounds.south &&
+  bounds.east > bounds.west;
+
+const initHamletMap = async () => {
+  const section = document.querySelector('.section-map');
+  const root = section?.querySelector('.map');
+  const index = section?.querySelector('.map-index');
+  if (!root || !index) return;
+
+  let places;
+  try {
+    const data = await fetchJSON(GAZETTEER_URL);
+    const bounds = data?.map?.bounds;
+    if (!isMapBounds(bounds)) throw new Error('map.bounds is missing or invalid');
+    places = (Array.isArray(data.places) ? data.places : [])
+      .map((place) => normalizeMapPlace(place, bounds))
+      .filter(Boolean);
+  } catch (err) {
+    console.warn('Gazetteer could not be loaded:', err);
+    return;
+  }
+  if (!places.length) return;
+
+  const photos = await loadPhotoManifest();
+  const photosById = new Map(photos.map((photo) => [photo.id, photo]));
+
+  /** Photos listed on the place, then any manifest photo tagged with its hamlet. */
+  const placePhotos = (place) => {
+    const listed = place.photoIds.map((id) => photosById.get(id)).filter(Boolean);
+    const tagged = photos.filter((photo) => photo.hamlet === place.name && !listed.includes(photo));
+    return [...listed, ...tagged];
+  };
+
+  const stage = root.querySelector('.map-stage');
+  const canvas = root.querySelector('.map-canvas');
+  const pinLayer = root.querySelector('.map-pins');
+  const popup = root.querySelector('.map-popup');
+  const popupKind = popup.querySelector('.map-popup-kind');
+  const popupTitle = popup.querySelector('.map-popup-title');
+  const popupReading = popup.querySelector('.map-popup-reading');
+  const popupBody = popup.querySelector('.map-popup-body');
+  const list = index.querySelector('.map-places');
+
+  // Pins sit inside the zoomed canvas; --map-scale keeps them the same size.
+  const zoom = createZoomPan(stage, canvas, {
+    onChange: (scale) => stage.style.setProperty('--map-scale', scale),
+  });
+
+  let current = null;
+  let returnFocus = null;
+
+  // ── Pins ──────────────────────────────────────────────────
+  const pins = places.map((place) => {
+    const pin = document.createElement('button');
+    pin.type = 'button';
+    pin.className = `map-pin map-pin-${place.kind}`;
+    pin.style.left = `${place.x}%`;
+    pin.style.top = `${place.y}%`;
+    pin.setAttribute('aria-expanded', 'false');
+    pin.setAttribute('aria-controls', 'map-popup');
+
+    const label = document.createElement('span');
+    label.className = 'map-pin-label';
+    label.setAttribute('aria-hidden', 'true');
+    pin.appendChild(label);
+
+    pin.addEventListener('click', () => openPlace(place, pin));
+    pinLayer.appendChild(pin);
+    return pin;
+  });
+
+  const labelPins = () => {
+    places.forEach((place, i) => {
+      const name = localizedField(place, 'name');
+      pins[i].querySelector('.map-pin-label').textContent = name;
+      pins[i].setAttribute('aria-label', t('map.pinLabel', { name, kind: t(`map.kind.${place.kind}`) }));
+    });
+  };
+
+  // ── Text list (same places, for screen readers and keyboard) ─
+  const renderList = () => {
+    list.replaceChildren(...places.map((place) => {
+      const li = document.createElement('li');
+      li.className = 'map-place';
+
+      const name = document.createElement('strong');
+      name.className = 'map-place-name';
+      name.textContent = localizedField(place, 'name');
+      li.appendChild(name);
+
+      if (place.reading) {
+        const reading = document.createElement('span');
+        reading.className = 'map-place-reading';
+        reading.lang = 'ja';
+        reading.textContent = `（${place.reading}）`;
+        li.appendChild(reading);
+      }
+
+      const kind = document.createElement('span');
+      kind.className = 'map-place-kind';
+      kind.textContent = t(`map.kind.${place.kind}`);
+      li.appendChild(kind);
+
+      const description = localizedField(place, 'description');
+      if (description) {
+        const p = document.createElement('p');
+        p.textContent = description;
+        li.appendChild(p);
+      }
+
+      const show = document.createElement('button');
+      show.type = 'button';
+      show.className = 'map-place-show';
+      show.textContent = t('map.show');
+      show.addEventListener('click', () => {
+        zoom.reset();
+        openPlace(place, show);
+      });
+      li.appendChild(show);
+      return li;
+    }));
+  };
+
+  // ── Popup ─────────────────────────────────────────────────
+  const renderPopup = (place) => {
+    popupKind.textContent = t(`map.kind.${place.kind}`);
+    popupTitle.textContent = localizedField(place, 'name');
+    popupReading.textContent = place.reading;
+    popupReading.hidden = !place.reading;
+
+    const parts = [];
+
+    const description = localizedField(place, 'description');
+    if (description) {
+      const p = document.createElement('p');
+      p.textContent = description;
+      parts.push(p);
+    }
+
+    const related = placePhotos(place);
+    if (related.length) {
+      const gallery = document.createElement('ul');
+      gallery.className = 'map-popup-photos';
+      gallery.setAttribute('aria-label', t('map.photos'));
+      related.forEach((photo) => {
+        const link = document.createElement('a');
+        link.href = `#photo/${photo.id}`;
+        link.dataset.photoId = photo.id;
+
+        const img = document.createElement('img');
+        img.src = photo.src;
+        img.alt = photoAltText(photo);
+        img.loading = 'lazy';
+
+        const li = document.createElement('li');
+        link.appendChild(img);
+        li.appendChild(link);
+        gallery.appendChild(li);
+      });
+      parts.push(gallery);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'map-popup-actions';
+
+    const app = document.createElement('a');
+    app.className = 'btn btn-primary btn-sm';
+    app.href = AR_APP_URL;
+    app.target = '_blank';
+    app.rel = 'noopener noreferrer';
+    app.dataset.track = 'ar_app';
+    app.dataset.trackPlacement = `map-${place.id}`;
+    app.dataset.arCheck = '';
+    app.textContent = t('map.app');
+    actions.appendChild(app);
+
+    if (place.heritage) {
+      const heritage = document.createElement('a');
+      heritage.className = 'map-popup-link';
+      heritage.href = `#heritage/${place.heritage}`;
+      heritage.textContent = t('map.heritage');
+      actions.appendChild(heritage);
+    }
+
+    parts.push(actions);
+    popupBody.replaceChildren(...parts);
+  };
+
+  const openPlace = (place, opener) => {
+    current = place;
+    returnFocus = opener;
+    renderPopup(place);
+    popup.hidden = false;
+    pins.forEach((pin, i) => {
+      const selected = places[i] === place;
+      pin.classList.toggle('is-selected', selected);
+      pin.setAttribute('aria-expanded', String(selected));
+    });
+    popupTitle.focus();
+    trackEvent('map_place', { place: place.id });
+  };
+
+  const closePopup = () => {
+    if (!current) return;
+    current = null;
+    popup.hidden = true;
+    pins.forEach((pin) => {
+      pin.classList.remove('is-selected');
+      pin.setAttribute('aria-expanded', 'false');
+    });
+    if (returnFocus?.isConnected) returnFocus.focus();
+  };
+
+  popup.querySelector('.map-popup-close').addEventListener('click', closePopup);
+  root.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && current) {
+      e.preventDefault();
+      closePopup();
+    }
+  });
+
+  // Related photos open in the gallery lightbox (section 13).
+  popupBody.addEventListener('click', (e) => {
+    const link = e.target.closest('a[data-photo-id]');
+    if (!link) return;
+    e.preventDefault();
+    document.dispatchEvent(new CustomEvent('openphoto', { detail: { id: link.dataset.photoId } }));
+  });
+
+  // ── Controls ──────────────────────────────────────────────
+  root.querySelector('.map-zoom-in').addEventListener('click', zoom.zoomIn);
+  root.querySelector('.map-zoom-out').addEventListener('click', zoom.zoomOut);
+  root.querySelector('.map-reset').addEventListener('click', zoom.reset);
+
+  const PAN_KEYS = {
+    ArrowLeft: [MAP_KEY_PAN, 0],
+    ArrowRight: [-MAP_KEY_PAN, 0],
+    ArrowUp: [0, MAP_KEY_PAN],
+    ArrowDown: [0, -MAP_KEY_PAN],
+  };
+
+  stage.addEventListener('keydown', (e) => {
+    if (e.altKey || e.ctrlKey || e.metaKey) return;
+    if (PAN_KEYS[e.key]) {
+      zoom.panBy(...PAN_KEYS[e.key]);
+    } else if (e.key === '+' || e.key === '=') {
+      zoom.zoomIn();
+    } else if (e.key === '-') {
+      zoom.zoomOut();
+    } else if (e.key === '0') {
+      zoom.reset();
+    } else {
+      return;
+    }
+    e.preventDefault();
+  });
+
+  // Other parts of the page (e.g. the site search) open a place by id.
+  document.addEventListener('openplace', (e) => {
+    const i = places.findIndex((place) => place.id === e.detail?.id);
+    if (i === -1) return;
+    zoom.reset();
+    openPlace(places[i], pins[i]);
+  });
+
+  document.addEventListener('localechange', () => {
+    labelPins();
+    renderList();
+    if (current) renderPopup(current);
+  });
+
+  labelPins();
+  renderList();
+  root.hidden = false;
+  index.hidden = false;
+};
+
+/* =================================================================
+   20. NEWS FEED (feed.xml)
+   ================================================================= */
+
+// feed.xml is both the Atom feed people subscribe to and the source of
+// the news list. Each entry is linkable as #news-<slug>, the fragment of
+// its rel="alternate" link. Entries with a <tl:event> element also
+// become schema.org Events (section 9).
+const NEWS_FEED_URL = 'feed.xml';
+const ATOM_NS = 'http://www.w3.org/2005/Atom';
+const NEWS_NS = 'https://code-for-okutama.github.io/ogouchi-time-lens-web/ns/news';
+const XML_NS = 'http://www.w3.org/XML/1998/namespace';
+const NEWS_CATEGORIES = ['event', 'media', 'update'];
+const NEWS_PAGE_SIZE = 5;
+const NEWS_NEW_DAYS = 30;
+const NEWS_HASH_PATTERN = /^#news-([\w-]+)$/;
+
+/** Text of the first Atom child element `name`, or ''. */
+const atomText = (parent, name) =>
+  parent.getElementsByTagNameNS(ATOM_NS, name)[0]?.textContent.trim() ?? '';
+
+/**
+ * Read one Atom <entry>. It needs a title, a date and an alternate
+ * link ending in #news-<slug>.
+ * @returns {object|null}
+ */
+const parseNewsEntry = (entry, lang) => {
+  const links = [...entry.getElementsByTagNameNS(ATOM_NS, 'link')];
+  const linkHref = (rel) =>
+    links.find((link) => (link.getAttribute('rel') || 'alternate') === rel)?.getAttribute('href') ?? '';
+
+  const url = linkHref('alternate');
+  const slug = url.split('#')[1]?.match(/^news-([\w-]+)$/)?.[1];
+  const title = atomText(entry, 'title');
+  const published = new Date(atomText(entry, 'published') || atomText(entry, 'updated'));
+  if (!slug || !title || isNaN(published)) return null;
+
+  const term = entry.getElementsByTagNameNS(ATOM_NS, 'category')[0]?.getAttribute('term');
+  const event = entry.getElementsByTagNameNS(NEWS_NS, 'event')[0];
+  const eventAttr = (name) => event?.getAttribute(name)?.trim() ?? '';
+
+  return {
+    slug,
+    url,
+    lang,
+    title,
+    summary: atomText(entry, 'summary'),
+    published,
+    category: NEWS_CATEGORIES.includes(term) ? term : '',
+    related: linkHref('related'),
+    event: eventAttr('start') ? {
+      name: eventAttr('name'),
+      start: eventAttr('start'),
+      end: eventAttr('end'),
+      location: eventAttr('location'),
+      locality: eventAttr('locality'),
+      region: eventAttr('region'),
+      attendance: eventAttr('attendance'),
+    } : null,
+  };
+};
+
+/** Fetch and parse feed.xml; entries newest first. */
+const loadNewsFeed = async () => {
+  const res = await fetch(NEWS_FEED_URL);
+  if (!res.ok) throw new Error(`${NEWS_FEED_URL}: HTTP ${res.status}`);
+  const doc = new DOMParser().parseFromString(await res.text(), 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) throw new Error(`${NEWS_FEED_URL}: invalid XML`);
+
+  const lang = doc.documentElement.getAttributeNS(XML_NS, 'lang') || DEFAULT_LOCALE;
+  return [...doc.getElementsByTagNameNS(ATOM_NS, 'entry')]
+    .map((entry) => parseNewsEntry(entry, lang))
+    .filter(Boolean)
+    .sort((a, b) => b.published - a.published);
+};
+
+const initNews = async () => {
+  const root = document.querySelector('.news');
+  const list = root?.querySelector('.news-list');
+  const more = root?.querySelector('.news-more');
+  if (!list || !more) return;
+
+  let entries;
+  try {
+    entries = await loadNewsFeed();
+  } catch (err) {
+    console.warn('News feed could not be loaded:', err);
+    return;
+  }
+  if (!entries.length) return;
+
+  newsEvents.splice(0, newsEvents.length, ...entries.filter((entry) => entry.event));
+  injectStructuredData();
+
+  let shown = Math.min(NEWS_PAGE_SIZE, entries.length);
+
+  const isNew = (entry) => Date.now() - entry.published < NEWS_NEW_DAYS * 24 * 60 * 60 * 1000;
+
+  const renderItem = (entry) => {
+    const li = document.createElement('li');
+    li.className = 'news-item';
+    li.id = `news-${entry.slug}`;
+    li.tabIndex = -1;
+
+    const meta = document.createElement('p');
+    meta.className = 'news-meta';
+
+    const time = document.createElement('time');
+    // Dates are written in Japan time in the feed.
+    time.dateTime = entry.published.toISOString();
+    time.textContent = new Intl.DateTimeFormat(currentLocale, {
+      dateStyle: 'long',
+      timeZone: 'Asia/Tokyo',
+    }).format(entry.published);
+    meta.appendChild(time);
+
+    if (entry.category) {
+      const category = document.createElement('span');
+      category.className = `news-category news-category-${entry.category}`;
+      category.textContent = t(`news.category.${entry.category}`);
+      meta.appendChild(category);
+    }
+
+    if (isNew(entry)) {
+      const badge = document.createElement('span');
+      badge.className = 'news-new';
+      badge.textContent = t('news.new');
+      meta.appendChild(badge);
+    }
+
+    const title = document.createElement('h3');
+    title.className = 'news-title';
+    title.lang = entry.lang;
+    if (entry.related) {
+      const link = document.createElement('a');
+      link.href = entry.related;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = entry.title;
+      title.appendChild(link);
+    } else {
+      title.textContent = entry.title;
+    }
+
+    li.append(meta, title);
+
+    if (entry.summary) {
+      const summary = document.createElement('p');
+      summary.className = 'news-summary';
+      summary.lang = entry.lang;
+      summary.textContent = entry.summary;
+      li.appendChild(summary);
+    }
+
+    const permalink = document.createElement('a');
+    permalink.className = 'news-permalink';
+    permalink.href = `#news-${entry.slug}`;
+    permalink.textContent = t('news.permalink');
+    permalink.setAttribute('aria-label', t('news.permalinkLabel', { title: entry.title }));
+    li.appendChild(permalink);
+
+    return li;
+  };
+
+  const render = () => {
+    list.replaceChildren(...entries.slice(0, shown).map(renderItem));
+    const remaining = entries.length - shown;
+    more.hidden = remaining <= 0;
+    more.textContent = t('news.more', { count: Math.min(remaining, NEWS_PAGE_SIZE) });
+  };
+
+  more.addEventListener('click', () => {
+    const first = shown;
+    shown = Math.min(shown + NEWS_PAGE_SIZE, entries.length);
+    render();
+    // Continue reading from the first newly shown item.
+    list.children[first]?.focus();
+  });
+
+  // #news-<slug>: show that entry even if it is on a later page. An
+  // in-page link has already scrolled to it (scroll: false).
+  const revealFromHash = ({ scroll = true } = {}) => {
+    const match = location.hash.match(NEWS_HASH_PATTERN);
+    const index = match ? entries.findIndex((entry) => entry.slug === match[1]) : -1;
+    if (index === -1) return;
+
+    if (index >= shown) {
+      shown = Math.ceil((index + 1) / NEWS_PAGE_SIZE) * NEWS_PAGE_SIZE;
+      render();
+    }
+    const item = list.children[index];
+    list.querySelector('.is-target')?.classList.remove('is-target');
+    item.classList.add('is-target');
+    if (scroll) scrollToSection(item, { smooth: false });
+    item.focus({ preventScroll: true });
+  };
+
+  window.addEventListener('hashchange', () => revealFromHash());
+  document.addEventListener('hashtarget', () => revealFromHash({ scroll: false }));
+  document.addEventListener('localechange', render);
+
+  render();
+  root.hidden = false;
+  revealFromHash();
+};
+
+/* =================================================================
+   21. DISPLAY PREFERENCES (animations & reading mode)
+   ================================================================= */
+
+// The "表示設定" panel in the nav holds every display choice: text size,
+// high contrast, the decorative layers, animations and furigana. Each
+// choice is saved under its own key. preferences.js puts them on <html>
+// as data-text-size / data-contrast / data-decorations / data-furigana /
+// data-motion before the first paint, and the CSS keys off those
+// attributes.
+//
+// Animations follow the OS "reduce motion" setting until the visitor
+// uses the switch; from then on the saved choice wins. Scripts ask
+// isMotionReduced() / readingSetting() and listen for `motionchange` /
+// `readingchange` on document.
+const MOTION_STORAGE_KEY = 'ogouchi-time-lens:motion'; // also read by preferences.js
+const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+// Reading mode; the first value of each list is the default. Stored as
+// ogouchi-time-lens:<attribute name>, e.g. ogouchi-time-lens:text-size.
+const READING_SETTINGS = {
+  textSize: ['standard', 'large', 'x-large'],
+  contrast: ['standard', 'high'],
+  decorations: ['on', 'off'],
+  furigana: ['off', 'on'],
+};
+
+const readingStorageKey = (name) =>
+  `ogouchi-time-lens:${name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`;
+
+const readStoredSetting = (key) => {
+  try {
+    return localStorage.getItem(key);
+  } catch {
+    return null; // storage disabled (private mode, embedded webviews)
+  }
+};
+
+const storeSetting = (key, value) => {
+  try {
+    localStorage.setItem(key, value);
+  } catch {
+    // Not saved; the choice still applies until the page is left.
+  }
+};
+
+// 'on' / 'off' once chosen; null follows the OS setting.
+let motionChoice = ['on', 'off'].includes(readStoredSetting(MOTION_STORAGE_KEY))
+  ? readStoredSetting(MOTION_STORAGE_KEY)
+  : null;
+
+const readingSettings = Object.fromEntries(
+  Object.entries(READING_SETTINGS).map(([name, values]) => {
+    const stored = readStoredSetting(readingStorageKey(name));
+    return [name, values.includes(stored) ? stored : values[0]];
+  })
+);
+
+/** Whether animations are currently turned off. */
+const isMotionReduced = () =>
+  (motionChoice ? motionChoice === 'off' : reducedMotionQuery.matches);
+
+/** Current value of a reading setting, e.g. readingSetting('decorations'). */
+const readingSetting = (name) => readingSettings[name];
+
+// Controls in the panel, each with a function reading its current state.
+const displayControls = [];
+
+const syncDisplayControls = () => {
+  displayControls.forEach(({ el, isOn }) => {
+    if (el.type === 'radio') el.checked = isOn();
+    else el.setAttribute('aria-checked', String(isOn()));
+  });
+};
+
+const applyMotionPreference = () => {
+  const reduced = isMotionReduced();
+  document.documentElement.dataset.motion = reduced ? 'reduced' : 'full';
+  syncDisplayControls();
+  document.dispatchEvent(new CustomEvent('motionchange', { detail: { reduced } }));
+};
+
+const applyReadingSettings = () => {
+  Object.entries(readingSettings).forEach(([name, value]) => {
+    document.documentElement.dataset[name] = value;
+  });
+  syncDisplayControls();
+  document.dispatchEvent(new CustomEvent('readingchange', { detail: { ...readingSettings } }));
+};
+
+/**
+ * Turn animations on or off and remember the choice.
+ * @param {boolean} enabled
+ */
+const setMotionEnabled = (enabled) => {
+  motionChoice = enabled ? 'on' : 'off';
+  storeSetting(MOTION_STORAGE_KEY, motionChoice);
+  applyMotionPreference();
+};
+
+/**
+ * Change one reading setting and remember it.
+ * @param {keyof READING_SETTINGS} name
+ * @param {string} value  one of READING_SETTINGS[name]
+ */
+const setReadingSetting = (name, value) => {
+  if (!READING_SETTINGS[name]?.includes(value)) return;
+  readingSettings[name] = value;
+  storeSetting(readingStorageKey(name), value);
+  applyReadingSettings();
+};
+
+/** A role="switch" button; aria-checked follows isOn(). */
+const createDisplaySwitch = (labelKey, isOn, onToggle) => {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'display-switch';
+  button.setAttribute('role', 'switch');
+  button.dataset.i18n = labelKey;
+  button.textContent = t(labelKey);
+  button.addEventListener('click', () => onToggle(!isOn()));
+  displayControls.push({ el: button, isOn });
+  return button;
+};
+
+const buildDisplayPanel = () => {
+  const panel = document.createElement('div');
+  panel.className = 'display-panel';
+  panel.id = 'display-panel';
+  panel.hidden = true;
+
+  // Text size: native radios, so arrow keys move between the steps.
+  const sizes = document.createElement('fieldset');
+  sizes.className = 'display-sizes';
+  const legend = document.createElement('legend');
+  legend.dataset.i18n = 'display.textSize';
+  legend.textContent = t('display.textSize');
+  sizes.appendChild(legend);
+
+  READING_SETTINGS.textSize.forEach((value) => {
+    const label = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'radio';
+    input.name = 'display-text-size';
+    input.value = value;
+    input.addEventListener('change', () => setReadingSetting('textSize', value));
+    displayControls.push({ el: input, isOn: () => readingSetting('textSize') === value });
+
+    const text = document.createElement('span');
+    text.dataset.i18n = `display.textSize.${value}`;
+    text.textContent = t(`display.textSize.${value}`);
+    label.append(input, text);
+    sizes.appendChild(label);
+  });
+
+  // Readings are for Japanese text only (section 22).
+  const furiganaSwitch = createDisplaySwitch('display.furigana',
+    () => readingSetting('furigana') === 'on',
+    (on) => setReadingSetting('furigana', on ? 'on' : 'off'));
+  const syncFuriganaSwitch = () => { furiganaSwitch.hidden = currentLocale !== 'ja'; };
+  document.addEventListener('localechange', syncFuriganaSwitch);
+  syncFuriganaSwitch();
+
+  const note = document.createElement('p');
+  note.className = 'display-note';
+  note.dataset.i18n = 'display.note';
+  note.textContent = t('display.note');
+
+  panel.append(
+    sizes,
+    createDisplaySwitch('display.contrast', () => readingSetting('contrast') === 'high',
+      (on) => setReadingSetting('contrast', on ? 'high' : 'standard')),
+    createDisplaySwitch('display.decorations', () => readingSetting('decorations') === 'on',
+      (on) => setReadingSetting('decorations', on ? 'on' : 'off')),
+    createDisplaySwitch('motion.label', () => !isMotionReduced(), setMotionEnabled),
+    furiganaSwitch,
+    note
+  );
+  return panel;
+};
+
+const initDisplayPreferences = () => {
+  // "表示設定" button and panel in the nav, after the language selector.
+  const navLinks = document.querySelector('.nav-links');
+  if (navLinks) {
+    const item = document.createElement('li');
+    item.className = 'nav-display';
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'display-button';
+    button.setAttribute('aria-expanded', 'false');
+    button.setAttribute('aria-controls', 'display-panel');
+    button.dataset.i18n = 'display.button';
+    button.textContent = t('display.button');
+
+    const panel = buildDisplayPanel();
+
+    const setOpen = (open) => {
+      panel.hidden = !open;
+      button.setAttribute('aria-expanded', String(open));
+    };
+
+    button.addEventListener('click', () => setOpen(panel.hidden));
+    item.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape' || panel.hidden) return;
+      e.stopPropagation(); // keep the mobile menu open
+      setOpen(false);
+      button.focus();
+    });
+    document.addEventListener('pointerdown', (e) => {
+      if (!panel.hidden && !item.contains(e.target)) setOpen(false);
+    });
+    item.addEventListener('focusout', (e) => {
+      if (e.relatedTarget && !item.contains(e.relatedTarget)) setOpen(false);
+    });
+
+    item.append(button, panel);
+    const cta = navLinks.querySelector('.nav-cta')?.closest('li');
+    navLinks.insertBefore(item, cta ?? null);
+  }
+
+  // The animation switch again, in the hero where most of the motion is.
+  document.querySelectorAll('.hero-motion-switch').forEach((button) => {
+    button.addEventListener('click', () => setMotionEnabled(isMotionReduced()));
+    displayControls.push({ el: button, isOn: () => !isMotionReduced() });
+    button.hidden = false;
+  });
+
+  reducedMotionQuery.addEventListener('change', () => {
+    if (!motionChoice) applyMotionPreference();
+  });
+  applyReadingSettings();
+  applyMotionPreference();
+};
+
+/* =================================================================
+   22. FURIGANA (data/readings.json)
+   ================================================================= */
+
+// With ふりがな turned on in the display settings (section 21), Japanese
+// text gets readings over the terms listed in data/readings.json:
+//   <ruby class="furigana">小河内<rp>(</rp><rt>おごうち</rt><rp>)</rp></ruby>
+// Text rendered later (timeline, dialogs, a switch back to Japanese) is
+// annotated as it appears. Turning the setting off only hides the
+// readings (CSS); the markup stays. Code that reads text back from the
+// page should use elementText(), which leaves readings out.
+const READINGS_URL = 'data/readings.json';
+
+// Links, buttons and form controls are left alone so their accessible
+// names stay as written.
+const FURIGANA_SKIP = [
+  'a', 'button', 'summary', 'label', 'select', 'option', 'textarea',
+  'script', 'style', 'noscript', 'ruby', '[contenteditable]', '[data-no-furigana]',
+  '[role="button"]', '[role="link"]', '[role="switch"]', '[role="tab"]',
+].join(', ');
+
+const KANJI_PATTERN = /[\p{Script=Han}々〆ヶ]/u;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Split a term into [base, reading] pairs so kana in the term stay
+ * outside <rt>: 鹿島踊り / かしまおどり → [鹿島踊, かしまおど], [り, ''].
+ * Falls back to one pair when the reading doesn't line up.
+ */
+const rubySegments = (term, reading) => {
+  const parts = term.match(/[\p{Script=Han}々〆ヶ]+|[^\p{Script=Han}々〆ヶ]+/gu) ?? [term];
+  const pattern = new RegExp(`^${parts.map((part) =>
+    (KANJI_PATTERN.test(part) ? '(.+?)' : `(${escapeRegExp(part)})`)).join('')}$`, 'u');
+  const match = pattern.exec(reading);
+  if (!match) return [[term, reading]];
+  return parts.map((part, i) => [part, KANJI_PATTERN.test(part) ? match[i + 1] : '']);
+};
+
+/** Build the nodes for one annotated term. */
+const createFuriganaNodes = (segments) => segments.map(([base, reading]) => {
+  if (!reading) return document.createTextNode(base);
+  const ruby = document.createElement('ruby');
+  ruby.className = 'furigana';
+  const rt = document.createElement('rt');
+  rt.textContent = reading;
+  const open = document.createElement('rp');
+  open.textContent = '(';
+  const close = document.createElement('rp');
+  close.textContent = ')';
+  ruby.append(base, open, rt, close);
+  return ruby;
+});
+
+/**
+ * Text of an element as read, without furigana; <br> counts as a space.
+ * @param {Element|null} el
+ * @returns {string|undefined}
+ */
+const elementText = (el) => {
+  const copy = el?.cloneNode(true);
+  copy?.querySelectorAll('br').forEach((br) => br.replaceWith(' '));
+  copy?.querySelectorAll('rt, rp').forEach((node) => node.remove());
+  return copy?.textContent.replace(/\s+/g, ' ').trim() || undefined;
+};
+
+let readingsPromise = null;
+
+/** Load data/readings.json once: a term → segments map and a matcher. */
+const loadReadings = () => {
+  if (!readingsPromise) {
+    readingsPromise = fetchJSON(READINGS_URL)
+      .then((data) => {
+        const terms = new Map();
+        (Array.isArray(data?.terms) ? data.terms : []).forEach((entry) => {
+          if (typeof entry?.term !== 'string' || typeof entry.reading !== 'string') return;
+          if (!KANJI_PATTERN.test(entry.term) || !entry.reading.trim()) return;
+          terms.set(entry.term, rubySegments(entry.term, entry.reading.trim()));
+        });
+        if (!terms.size) return null;
+        // Longest first, so 小河内 wins over 河内 and 川野車人形 over 川野.
+        const sorted = [...terms.keys()].sort((a, b) => b.length - a.length);
+        return { terms, pattern: new RegExp(sorted.map(escapeRegExp).join('|'), 'g') };
+      })
+      .catch((err) => {
+        console.warn('Readings could not be loaded:', err);
+        return null;
+      });
+  }
+  return readingsPromise;
+};
+
+const initFurigana = () => {
+  let readings = null;
+  let observer = null;
+
+  const annotateTextNode = (node) => {
+    const parent = node.parentElement;
+    if (!parent || parent.closest(FURIGANA_SKIP)) return;
+    if (!parent.closest('[lang]')?.lang.startsWith('ja')) return;
+
+    const text = node.nodeValue;
+    readings.pattern.lastIndex = 0;
+    if (!readings.pattern.test(text)) return;
+
+    const fragment = document.createDocumentFragment();
+    let last = 0;
+    text.replace(readings.pattern, (term, offset) => {
+      fragment.append(text.slice(last, offset), ...createFuriganaNodes(readings.terms.get(term)));
+      last = offset + term.length;
+      return term;
+    });
+    fragment.append(text.slice(last));
+    node.replaceWith(fragment);
+  };
+
+  const annotate = (root) => {
+    if (root.nodeType === Node.TEXT_NODE) {
+      annotateTextNode(root);
+      return;
+    }
+    if (root.nodeType !== Node.ELEMENT_NODE || root.closest(FURIGANA_SKIP)) return;
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+    nodes.forEach(annotateTextNode);
+  };
+
+  // Annotate the page once, then whatever is added to it.
+  const start = async () => {
+    readings ??= await loadReadings();
+    if (!readings || observer || readingSetting('furigana') !== 'on') return;
+
+    annotate(document.body);
+    observer = new MutationObserver((mutations) => {
+      mutations.forEach(({ addedNodes }) => addedNodes.forEach(annotate));
+    });
+    observer.observe(document.body, { childList: true, subtree: true });
+  };
+
+  document.addEventListener('readingchange', ({ detail }) => {
+    if (detail.furigana === 'on') start();
+  });
+  start();
+};
+
+/* =================================================================
+   23. MEMORY CONTRIBUTIONS (photos, IndexedDB drafts)
+   ================================================================= */
+
+// The form posts multipart data to its `action`; with no action it stays
+// hidden and the Google Form link is the only way in. Off the public site,
+// ?contribute-endpoint=<url> points it at a local stand-in server instead.
+//
+// Everything typed or chosen is kept as a draft in IndexedDB, so it
+// survives closing the tab. A submission made offline stays in the draft,
+// marked pending, and is sent when the connection (or the visitor) returns.
+// One that fails while online (no answer, or a 5xx) is retried with a
+// growing delay.
+const CONTRIBUTE_DB_NAME = 'ogouchi-time-lens';
+const CONTRIBUTE_DB_STORE = 'drafts';
+const CONTRIBUTE_DRAFT_KEY = 'contribution';
+const CONTRIBUTE_MAX_PHOTOS = 10;
+const CONTRIBUTE_MAX_EDGE = 2048; // px, long side
+const CONTRIBUTE_JPEG_QUALITY = 0.85;
+const CONTRIBUTE_SAVE_DELAY = 800;
+const CONTRIBUTE_RETRY_DELAY = 10 * 1000; // ms, doubled after each failure
+const CONTRIBUTE_RETRY_MAX_DELAY = 10 * 60 * 1000;
+
+let contributeDbPromise = null;
+
+const openContributeDb = () => {
+  contributeDbPromise ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(CONTRIBUTE_DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(CONTRIBUTE_DB_STORE);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return contributeDbPromise;
+};
+
+/**
+ * Run one request against the drafts store and resolve with its result
+ * once the transaction has committed.
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest} operation
+ */
+const draftStore = async (mode, operation) => {
+  const db = await openContributeDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(CONTRIBUTE_DB_STORE, mode);
+    const request = operation(tx.objectStore(CONTRIBUTE_DB_STORE));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+/**
+ * DateTimeOriginal (or, failing that, DateTime) from a JPEG's Exif block
+ * as "YYYY-MM-DDTHH:MM:SS"; '' when there is none.
+ * @param {ArrayBuffer} buffer  the start of the file is enough
+ * @returns {string}
+ */
+const readExifCaptureDate = (buffer) => {
+  try {
+    const view = new DataView(buffer);
+    if (view.getUint16(0) !== 0xffd8) return '';
+
+    // Walk the JPEG segments to the APP1 "Exif\0\0" block.
+    let tiff = -1;
+    for (let offset = 2; offset + 10 <= view.byteLength;) {
+      const marker = view.getUint16(offset);
+      if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) break; // image data: no more metadata
+      if (marker === 0xffe1 && view.getUint32(offset + 4) === 0x45786966) {
+        tiff = offset + 10;
+        break;
+      }
+      offset += 2 + view.getUint16(offset + 2);
+    }
+    if (tiff < 0) return '';
+
+    const little = view.getUint16(tiff) === 0x4949; // "II"
+    const u16 = (at) => view.getUint16(at, little);
+    const u32 = (at) => view.getUint32(at, little);
+    const findTag = (ifd, tag) => {
+      for (let i = 0, count = u16(ifd); i < count; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (u16(entry) === tag) return entry;
+      }
+      return -1;
+    };
+
+    const ifd0 = tiff + u32(tiff + 4);
+    const exifPointer = findTag(ifd0, 0x8769);
+    let entry = exifPointer >= 0 ? findTag(tiff + u32(exifPointer + 8), 0x9003) : -1;
+    if (entry < 0) entry = findTag(ifd0, 0x0132);
+    if (entry < 0) return '';
+
+    // ASCII "YYYY:MM:DD HH:MM:SS\0", stored after the header (> 4 bytes).
+    const start = tiff + u32(entry + 8);
+    const length = Math.min(u32(entry + 4), 20);
+    const text = String.fromCharCode(...new Uint8Array(buffer, start, length));
+    const match = text.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+    if (!match || match[1] === '0000') return '';
+    const [, year, month, day, hour, minute, second] = match;
+    return `${year}-${month}-${day}T${hour}:${minute}:${second}`;
+  } catch {
+    return ''; // truncated or malformed Exif
+  }
+};
+
+/** Decode an image file upright (Exif orientation applied). */
+const decodeImageFile = async (file) => {
+  if ('createImageBitmap' in window) {
+    try {
+      return await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch {
+      // Older engines reject the options; try an <img> instead.
+    }
+  }
+  const url = URL.createObjectURL(file);
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+    return img;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+/**
+ * Shrink a photo to CONTRIBUTE_MAX_EDGE and re-encode it as JPEG. Only the
+ * pixels go through the canvas, so Exif (GPS position, camera, owner)
+ * never leaves the device; the capture date is read beforehand and sent
+ * separately, if the contributor agrees.
+ * @param {File} file
+ * @returns {Promise<{ blob: Blob, width: number, height: number, taken: string }>}
+ */
+const preparePhoto = async (file) => {
+  const taken = readExifCaptureDate(await file.slice(0, 128 * 1024).arrayBuffer());
+  const image = await decodeImageFile(file);
+  const sourceWidth = image.naturalWidth || image.width;
+  const sourceHeight = image.naturalHeight || image.height;
+  const scale = Math.min(1, CONTRIBUTE_MAX_EDGE / Math.max(sourceWidth, sourceHeight));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(sourceWidth * scale));
+  canvas.height = Math.max(1, Math.round(sourceHeight * scale));
+  const context = canvas.getContext('2d');
+  // JPEG has no transparency; without this, clear PNG areas turn black.
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+  image.close?.();
+
+  const blob = await new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (result) => (result ? resolve(result) : reject(new Error('The photo could not be encoded'))),
+      'image/jpeg',
+      CONTRIBUTE_JPEG_QUALITY
+    );
+  });
+  return { blob, width: canvas.width, height: canvas.height, taken };
+};
+
+/** Where submissions go: the form's action, or a local override off the public site. */
+const contributionEndpoint = (form) => {
+  const override = new URLSearchParams(location.search).get('contribute-endpoint');
+  if (override && !isProductionSite()) return override;
+  return form.getAttribute('action') || '';
+};
+
+const initContributionForm = async () => {
+  const container = document.querySelector('.contribute');
+  const form = container?.querySelector('.contribute-form');
+  if (!form) return;
+
+  const endpoint = contributionEndpoint(form);
+  if (!endpoint) return;
+
+  const fileInput = form.querySelector('#contribute-photos');
+  const photoList = form.querySelector('.contribute-photo-list');
+  const yearInput = form.querySelector('#contribute-year');
+  const eraEl = form.querySelector('.contribute-era');
+  const hamletList = form.querySelector('#contribute-hamlets');
+  const draftEl = form.querySelector('.contribute-draft');
+  const statusEl = form.querySelector('.contribute-status');
+  const discardButton = form.querySelector('.contribute-discard');
+
+  // { id, name, blob, width, height, taken, url }
+  let photos = [];
+  let draftId = '';
+  let savedAt = null;
+  let pending = false;
+  let sending = false;
+  let retryTimer = null;
+  let failures = 0; // failed sends in a row, for the retry delay
+  let draftsAvailable = 'indexedDB' in window;
+  let status = null; // { key, params } shown in the status line
+
+  const newDraftId = () =>
+    (crypto.randomUUID?.() ?? `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`);
+
+  const setStatus = (key, params = {}) => {
+    status = key ? { key, params } : null;
+    statusEl.textContent = key ? t(key, params) : '';
+  };
+
+  const formatSavedAt = (date, withDate) => new Intl.DateTimeFormat(currentLocale, {
+    ...(withDate ? { dateStyle: 'medium' } : {}),
+    timeStyle: 'short',
+  }).format(date);
+
+  // ── Fields ────────────────────────────────────────────────
+  const fieldValues = () => Object.fromEntries(
+    [...form.elements]
+      .filter((el) => el.name)
+      .map((el) => [el.name, el.type === 'checkbox' ? el.checked : el.value])
+  );
+
+  const restoreFields = (values = {}) => {
+    [...form.elements].forEach((el) => {
+      if (!el.name || !(el.name in values)) return;
+      if (el.type === 'checkbox') el.checked = values[el.name] === true;
+      else el.value = String(values[el.name] ?? '');
+    });
+  };
+
+  // 1937 → 昭和12年, to help those who count years by era.
+  const renderEra = () => {
+    const year = Number(yearInput.value);
+    const valid = currentLocale === 'ja' && Number.isInteger(year) && year >= 1868 && year <= 2100;
+    eraEl.textContent = valid
+      ? new Intl.DateTimeFormat('ja-JP-u-ca-japanese', { era: 'long', year: 'numeric' })
+        .format(new Date(year, 6, 1))
+      : '';
+  };
+
+  const loadHamlets = async () => {
+    try {
+      const data = await fetchJSON(GAZETTEER_URL);
+      const hamlets = (Array.isArray(data?.places) ? data.places : [])
+        .filter((place) => place?.kind === 'hamlet' && typeof place.name === 'string');
+      hamletList.replaceChildren(...hamlets.map((place) => {
+        const option = document.createElement('option');
+        option.value = place.name;
+        const label = place.translations?.[currentLocale]?.name;
+        if (label && label !== place.name) option.label = label;
+        return option;
+      }));
+    } catch (err) {
+      console.warn('Hamlet suggestions could not be loaded:', err);
+    }
+  };
+
+  // ── Photos ────────────────────────────────────────────────
+  const renderPhotos = () => {
+    photoList.replaceChildren(...photos.map((photo) => {
+      const li = document.createElement('li');
+      li.className = 'contribute-photo';
+
+      const img = document.createElement('img');
+      img.src = photo.url;
+      img.alt = t('contribute.photoAlt', { name: photo.name });
+      img.width = photo.width;
+      img.height = photo.height;
+
+      const meta = document.createElement('span');
+      meta.className = 'contribute-photo-meta';
+      meta.textContent = photo.taken
+        ? t('contribute.photoTaken', { date: formatSavedAt(new Date(photo.taken), true) })
+        : photo.name;
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'contribute-photo-remove';
+      remove.dataset.photoId = photo.id;
+      remove.textContent = t('contribute.remove');
+      remove.setAttribute('aria-label', t('contribute.removeLabel', { name: photo.name }));
+
+      li.append(img, meta, remove);
+      return li;
+    }));
+    fileInput.disabled = photos.length >= CONTRIBUTE_MAX_PHOTOS;
+  };
+
+  const addPhoto = (photo) => {
+    photos.push({ ...photo, url: URL.createObjectURL(photo.blob) });
+  };
+
+  const clearPhotos = () => {
+    photos.forEach((photo) => URL.revokeObjectURL(photo.url));
+    photos = [];
+  };
+
+  const addFiles = async (files) => {
+    const room = CONTRIBUTE_MAX_PHOTOS - photos.length;
+    const chosen = [...files].slice(0, Math.max(0, room));
+    if (files.length > room) setStatus('contribute.tooMany', { max: CONTRIBUTE_MAX_PHOTOS });
+    if (!chosen.length) return;
+
+    setStatus('contribute.preparing');
+    const failed = [];
+    for (const file of chosen) {
+      try {
+        const prepared = await preparePhoto(file);
+        addPhoto({
+          ...prepared,
+          id: newDraftId(),
+          name: `${file.name.replace(/\.[^.]+$/, '') || 'photo'}.jpg`,
+        });
+      } catch (err) {
+        console.warn('Photo could not be prepared:', file.name, err);
+        failed.push(file.name);
+      }
+    }
+    renderPhotos();
+    if (failed.length) setStatus('contribute.photoError', { name: failed.join(', ') });
+    else if (files.length > room) setStatus('contribute.tooMany', { max: CONTRIBUTE_MAX_PHOTOS });
+    else setStatus('');
+    saveDraft();
+  };
+
+  // ── Drafts ────────────────────────────────────────────────
+  const renderDraftNote = (key) => {
+    draftEl.dataset.state = key;
+    draftEl.textContent = key && savedAt
+      ? t(key, { time: formatSavedAt(savedAt, key === 'contribute.draftRestored') })
+      : (key ? t(key) : '');
+  };
+
+  const saveDraft = async () => {
+    if (!draftsAvailable) return;
+    draftId ||= newDraftId();
+    savedAt = new Date();
+    try {
+      await draftStore('readwrite', (store) => store.put({
+        id: draftId,
+        savedAt,
+        pending,
+        fields: fieldValues(),
+        photos: photos.map(({ url, ...photo }) => photo),
+      }, CONTRIBUTE_DRAFT_KEY));
+      renderDraftNote('contribute.draftSaved');
+    } catch (err) {
+      console.warn('Draft could not be saved:', err);
+      draftsAvailable = false;
+      renderDraftNote('contribute.draftUnavailable');
+    }
+  };
+  const saveDraftSoon = debounce(saveDraft, CONTRIBUTE_SAVE_DELAY);
+
+  const deleteDraft = async () => {
+    if (!draftsAvailable) return;
+    try {
+      await draftStore('readwrite', (store) => store.delete(CONTRIBUTE_DRAFT_KEY));
+    } catch (err) {
+      console.warn('Draft could not be deleted:', err);
+    }
+  };
+
+  const restoreDraft = async () => {
+    if (!draftsAvailable) {
+      renderDraftNote('contribute.draftUnavailable');
+      return null;
+    }
+    try {
+      const draft = await draftStore('readonly', (store) => store.get(CONTRIBUTE_DRAFT_KEY));
+      if (!draft) return null;
+      draftId = draft.id;
+      savedAt = draft.savedAt instanceof Date ? draft.savedAt : new Date(draft.savedAt);
+      pending = draft.pending === true;
+      restoreFields(draft.fields);
+      (Array.isArray(draft.photos) ? draft.photos : []).forEach((photo) => {
+        if (photo?.blob instanceof Blob) addPhoto(photo);
+      });
+      renderPhotos();
+      renderEra();
+      renderDraftNote('contribute.draftRestored');
+      return draft;
+    } catch (err) {
+      console.warn('Draft could not be restored:', err);
+      draftsAvailable = false;
+      renderDraftNote('contribute.draftUnavailable');
+      return null;
+    }
+  };
+
+  const resetForm = () => {
+    form.reset();
+    clearPhotos();
+    renderPhotos();
+    renderEra();
+    draftId = '';
+    savedAt = null;
+    pending = false;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    failures = 0;
+    renderDraftNote('');
+  };
+
+  // ── Sending ───────────────────────────────────────────────
+  const buildFormData = () => {
+    const values = fieldValues();
+    const data = new FormData();
+    data.set('submission_id', draftId);
+    data.set('language', currentLocale);
+    ['name', 'contact', 'hamlet', 'year', 'story'].forEach((field) => data.set(field, values[field].trim()));
+    data.set('circa', values.circa ? 'yes' : 'no');
+    data.set('consent', values.consent ? 'yes' : 'no');
+    photos.forEach((photo) => {
+      data.append('photo', photo.blob, photo.name);
+      // Parallel to `photo`: one (possibly empty) date per file.
+      if (values.keep_taken) data.append('photo_taken', photo.taken);
+    });
+    return data;
+  };
+
+  const retryLater = () => {
+    const delay = Math.min(CONTRIBUTE_RETRY_DELAY * 2 ** failures, CONTRIBUTE_RETRY_MAX_DELAY);
+    failures += 1;
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      if (pending) send();
+    }, delay);
+    setStatus('contribute.retrying');
+  };
+
+  // The same submission_id is sent on every retry, so the endpoint can
+  // ignore a copy it has already stored.
+  const send = async () => {
+    if (sending) return;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    draftId ||= newDraftId();
+    pending = true;
+    await saveDraft();
+
+    if (!navigator.onLine) {
+      setStatus('contribute.queued');
+      return;
+    }
+
+    sending = true;
+    setStatus('contribute.sending');
+    let response;
+    try {
+      response = await fetch(endpoint, { method: 'POST', body: buildFormData() });
+    } catch (err) {
+      // Network failure: keep it pending. Offline, the `online` event
+      // sends it again; online, the endpoint may just be unreachable.
+      console.warn('Contribution could not be sent:', err);
+      sending = false;
+      if (navigator.onLine) retryLater();
+      else setStatus('contribute.queued');
+      return;
+    }
+    sending = false;
+
+    if (response.status >= 500) {
+      console.warn(`Contribution could not be stored: HTTP ${response.status}`);
+      retryLater();
+      return;
+    }
+    failures = 0;
+
+    if (!response.ok) {
+      console.warn(`Contribution was refused: HTTP ${response.status}`);
+      pending = false;
+      await saveDraft();
+      setStatus('contribute.error');
+      return;
+    }
+
+    trackEvent('contribution_submit', { photos: photos.length });
+    await deleteDraft();
+    resetForm();
+    setStatus('contribute.sent');
+  };
+
+  // ── Events ────────────────────────────────────────────────
+  form.addEventListener('input', (e) => {
+    if (e.target === fileInput) return;
+    if (e.target === yearInput) renderEra();
+    saveDraftSoon();
+  });
+  form.addEventListener('change', (e) => {
+    if (e.target !== fileInput) return;
+    addFiles(fileInput.files);
+    fileInput.value = '';
+  });
+
+  photoList.addEventListener('click', (e) => {
+    const button = e.target.closest('.contribute-photo-remove');
+    const index = photos.findIndex((photo) => photo.id === button?.dataset.photoId);
+    if (index < 0) return;
+    URL.revokeObjectURL(photos[index].url);
+    photos.splice(index, 1);
+    renderPhotos();
+    // Keep focus in the list (or on the picker once it is empty).
+    (photoList.querySelectorAll('.contribute-photo-remove')[Math.min(index, photos.length - 1)] || fileInput).focus();
+    saveDraft();
+  });
+
+  // The browser checks the required fields before this runs.
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    send();
+  });
+
+  discardButton.addEventListener('click', async () => {
+    if (!window.confirm(t('contribute.discardConfirm'))) return;
+    await deleteDraft();
+    resetForm();
+    setStatus('contribute.discarded');
+  });
+
+  window.addEventListener('online', () => {
+    failures = 0;
+    if (pending) send();
+  });
+
+  document.addEventListener('localechange', () => {
+    renderPhotos();
+    renderEra();
+    renderDraftNote(draftEl.dataset.state);
+    if (status) setStatus(status.key, status.params);
+    loadHamlets();
+  });
+
+  container.hidden = false;
+  loadHamlets();
+  await restoreDraft();
+  if (pending) {
+    // Sent offline last time: try again now.
+    send();
+  }
+};
+
+/* =================================================================
+   24. PRINTABLE FIELD GUIDE (QR codes into the AR app)
+   ================================================================= */
+
+// The print button builds a paper layout from the site's own data (cover,
+// history, heritage, places), prints it and removes it again. Print CSS
+// shows only the guide while <html data-print="guide"> is set. Each item
+// carries a QR code into the AR app, drawn here without any library.
+
+// ── QR codes (byte mode, error correction level M) ──────────
+// Per version 1–40 (index 0 unused): EC codewords per block, block count.
+const QR_ECC_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+  26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+const QR_BLOCK_COUNT = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+  17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+const QR_FORMAT_LEVEL_M = 0b00;
+const QR_QUIET_ZONE = 4;
+const QR_MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+/** Multiply in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1. */
+const qrMultiply = (x, y) => {
+  let product = 0;
+  for (let i = 7; i >= 0; i--) {
+    product = (product << 1) ^ ((product >>> 7) * 0x11d);
+    product ^= ((y >>> i) & 1) * x;
+  }
+  return product;
+};
+
+/** Reed–Solomon generator polynomial of the given degree. */
+const qrDivisor = (degree) => {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < degree; j++) {
+      result[j] = qrMultiply(result[j], root);
+      if (j + 1 < degree) result[j] ^= result[j + 1];
+    }
+    root = qrMultiply(root, 0x02);
+  }
+  return result;
+};
+
+/** Error correction codewords for one block. */
+const qrRemainder = (data, divisor) => {
+  const result = divisor.map(() => 0);
+  data.forEach((byte) => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => { result[i] ^= qrMultiply(coefficient, factor); });
+  });
+  return result;
+};
+
+/** Modules left for data and error correction once the patterns are drawn. */
+const qrRawModules = (version) => {
+  let modules = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const count = Math.floor(version / 7) + 2;
+    modules -= (25 * count - 10) * count - 55;
+    if (version >= 7) modules -= 36;
+  }
+  return modules;
+};
+
+const qrDataCodewords = (version) =>
+  Math.floor(qrRawModules(version) / 8) - QR_ECC_PER_BLOCK[version] * QR_BLOCK_COUNT[version];
+
+/** Centre coordinates of the alignment patterns on each axis. */
+const qrAlignmentPositions = (version, size) => {
+  if (version === 1) return [];
+  const count = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+  const positions = [6];
+  for (let pos = size - 7; positions.length < count; pos -= step) positions.splice(1, 0, pos);
+  return positions;
+};
+
+/** Penalty score of a masked symbol (ISO/IEC 18004 rules 1–4); lower is better. */
+const qrPenalty = (grid) => {
+  const size = grid.length;
+  let penalty = 0;
+
+  const lines = [];
+  for (let i = 0; i < size; i++) lines.push(grid[i], grid.map((row) => row[i]));
+  lines.forEach((line) => {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+        continue;
+      }
+      if (run >= 5) penalty += run - 2;
+      run = 1;
+    }
+    const pattern = line.map(Number).join('');
+    penalty += 40 * (pattern.match(/(?=10111010000|00001011101)/g) || []).length;
+  });
+
+  let dark = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (grid[y][x]) dark++;
+      if (x < size - 1 && y < size - 1) {
+        const colour = grid[y][x];
+        if (grid[y][x + 1] === colour && grid[y + 1][x] === colour && grid[y + 1][x + 1] === colour) penalty += 3;
+      }
+    }
+  }
+  const total = size * size;
+  penalty += 10 * Math.floor(Math.abs(dark * 20 - total * 10) / total);
+  return penalty;
+};
+
+/**
+ * Encode text as a QR code in the smallest version that fits.
+ * @param {string} text
+ * @returns {boolean[][]} modules[y][x], true = dark
+ */
+const encodeQR = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  const countBits = (version) => (version < 10 ? 8 : 16);
+  let version = 1;
+  while (version <= 40 && 4 + countBits(version) + bytes.length * 8 > qrDataCodewords(version) * 8) version++;
+  if (version > 40) throw new RangeError('Text is too long for a QR code');
+
+  // ── Data codewords ──
+  const capacity = qrDataCodewords(version) * 8;
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  push(0b0100, 4); // byte mode
+  push(bytes.length, countBits(version));
+  bytes.forEach((byte) => push(byte, 8));
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) push(pad, 8);
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+
+  // ── Error correction, interleaved across blocks ──
+  const blockCount = QR_BLOCK_COUNT[version];
+  const eccLength = QR_ECC_PER_BLOCK[version];
+  const rawCodewords = Math.floor(qrRawModules(version) / 8);
+  const shortBlocks = blockCount - (rawCodewords % blockCount);
+  const shortLength = Math.floor(rawCodewords / blockCount);
+  const divisor = qrDivisor(eccLength);
+  const blocks = [];
+  for (let i = 0, offset = 0; i < blockCount; i++) {
+    const block = data.slice(offset, offset + shortLength - eccLength + (i < shortBlocks ? 0 : 1));
+    offset += block.length;
+    const ecc = qrRemainder(block, divisor);
+    if (i < shortBlocks) block.push(0); // placeholder, skipped below
+    blocks.push([...block, ...ecc]);
+  }
+  const codewords = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortLength - eccLength || j >= shortBlocks) codewords.push(block[i]);
+    });
+  }
+
+  // ── Function patterns ──
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFunction = (x, y, isDark) => {
+    modules[y][x] = isDark;
+    reserved[y][x] = true;
+  };
+
+  for (let i = 0; i < size; i++) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x < 0 || y < 0 || x >= size || y >= size) continue;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        setFunction(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  });
+  const align = qrAlignmentPositions(version, size);
+  const last = align.length - 1;
+  align.forEach((cy, i) => align.forEach((cx, j) => {
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return; // finders
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+    }
+  }));
+
+  const drawFormat = (grid, mask, set) => {
+    const value = (QR_FORMAT_LEVEL_M << 3) | mask;
+    let remainder = value;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const format = ((value << 10) | remainder) ^ 0x5412;
+    const bit = (i) => ((format >>> i) & 1) === 1;
+    for (let i = 0; i <= 5; i++) set(grid, 8, i, bit(i));
+    set(grid, 8, 7, bit(6));
+    set(grid, 8, 8, bit(7));
+    set(grid, 7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(grid, 14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) set(grid, size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(grid, 8, size - 15 + i, bit(i));
+    set(grid, 8, size - 8, true); // the dark module
+  };
+  const setModule = (grid, x, y, isDark) => { grid[y][x] = isDark; };
+  drawFormat(modules, 0, (grid, x, y, isDark) => setFunction(x, y, isDark)); // reserve the areas
+
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    const info = (version << 12) | remainder;
+    for (let i = 0; i < 18; i++) {
+      const isDark = ((info >>> i) & 1) === 1;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, isDark);
+      setFunction(b, a, isDark);
+    }
+  }
+
+  // ── Data, zigzagging up and down two columns at a time ──
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5; // skip the vertical timing pattern
+    for (let vert = 0; vert < size; vert++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vert : vert;
+        if (reserved[y][x] || bitIndex >= codewords.length * 8) continue;
+        modules[y][x] = ((codewords[bitIndex >>> 3] >>> (7 - (bitIndex & 7))) & 1) === 1;
+        bitIndex++;
+      }
+    }
+  }
+
+  // ── The mask with the lowest penalty ──
+  let best = null;
+  let bestPenalty = Infinity;
+  QR_MASKS.forEach((isMasked, mask) => {
+    const grid = modules.map((row, y) => row.map((isDark, x) => (reserved[y][x] ? isDark : isDark !== isMasked(x, y))));
+    drawFormat(grid, mask, setModule);
+    const penalty = qrPenalty(grid);
+    if (penalty < bestPenalty) {
+      best = grid;
+      bestPenalty = penalty;
+    }
+  });
+  return best;
+};
+
+/**
+ * An SVG QR code for `text`, with the quiet zone around it.
+ * @param {string} text
+ * @param {string} label  accessible name
+ * @returns {SVGSVGElement}
+ */
+const createQRCode = (text, label) => {
+  const modules = encodeQR(text);
+  const size = modules.length + QR_QUIET_ZONE * 2;
+  let path = '';
+  modules.forEach((row, y) => row.forEach((isDark, x) => {
+    if (isDark) path += `M${x + QR_QUIET_ZONE} ${y + QR_QUIET_ZONE}h1v1h-1z`;
+  }));
+
+  const svg = document.createElementNS(SVG_NS, 'svg');
+  svg.setAttribute('class', 'qr-code');
+  svg.setAttribute('viewBox', `0 0 ${size} ${size}`);
+  svg.setAttribute('shape-rendering', 'crispEdges');
+  svg.setAttribute('role', 'img');
+  svg.setAttribute('aria-label', label);
+
+  const background = document.createElementNS(SVG_NS, 'rect');
+  background.setAttribute('width', String(size));
+  background.setAttribute('height', String(size));
+  background.setAttribute('fill', '#fff');
+  const dots = document.createElementNS(SVG_NS, 'path');
+  dots.setAttribute('d', path);
+  dots.setAttribute('fill', '#000');
+  svg.append(background, dots);
+  return svg;
+};
+
+// ── The guide ─────────────────────────────────────────────────
+
+/** Where an item's QR code leads: its page in the AR app, or nowhere. */
+const heritageAppUrl = (item) => (item.app === null ? '' : new URL(item.app, AR_APP_URL).href);
+
+/** Validated gazetteer places (also used by the AR check); empty if unavailable. */
+const loadGazetteerPlaces = async () => {
+  try {
+    const data = await fetchJSON(GAZETTEER_URL);
+    const bounds = data?.map?.bounds;
+    if (!isMapBounds(bounds)) return [];
+    return (Array.isArray(data.places) ? data.places : [])
+      .map((place) => normalizeMapPlace(place, bounds))
+      .filter(Boolean);
+  } catch (err) {
+    console.warn('Gazetteer could not be loaded:', err);
+    return [];
+  }
+};
+
+const loadGuideTimeline = async () => {
+  try {
+    const data = await fetchJSON(TIMELINE_URL);
+    return (Array.isArray(data?.events) ? data.events : []).map(normalizeTimelineEntry).filter(Boolean);
+  } catch (err) {
+    console.warn('Timeline could not be loaded for the guide:', err);
+    return [];
+  }
+};
+
+/** Create an element with a class and, optionally, text. */
+const guideElement = (tag, className, text) => {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text) el.textContent = text;
+  return el;
+};
+
+/** One heritage item or place: text on the left, QR code on the right. */
+const createGuideItem = ({ title, meta, reading, text, image, url }) => {
+  const article = guideElement('article', 'guide-item');
+  const body = guideElement('div', 'guide-item-body');
+  if (meta) body.appendChild(guideElement('p', 'guide-item-meta', meta));
+  body.appendChild(guideElement('h3', 'guide-item-title', title));
+  if (reading) body.appendChild(guideElement('p', 'guide-item-reading', reading));
+  if (text) body.appendChild(guideElement('p', 'guide-item-text', text));
+
+  if (image) {
+    const img = guideElement('img', 'guide-item-photo');
+    img.src = image;
+    img.alt = '';
+    article.appendChild(img);
+  }
+  article.appendChild(body);
+
+  if (url) {
+    const figure = guideElement('figure', 'guide-item-qr');
+    figure.appendChild(createQRCode(url, t('guide.qrLabel', { name: title })));
+    figure.appendChild(guideElement('figcaption', '', t('guide.scan')));
+    article.appendChild(figure);
+  }
+  return article;
+};
+
+/**
+ * Build the guide in the current language.
+ * @returns {Promise<HTMLElement>}
+ */
+const buildFieldGuide = async () => {
+  const [places, heritage, timeline] = await Promise.all([
+    loadGazetteerPlaces(),
+    loadHeritageItems(),
+    loadGuideTimeline(),
+  ]);
+
+  const guide = guideElement('div', 'field-guide');
+  guide.lang = currentLocale;
+
+  // ── Cover ──
+  const cover = guideElement('section', 'guide-page guide-cover');
+  const logo = guideElement('img', 'guide-logo');
+  logo.src = 'images/logo.png';
+  logo.alt = '';
+  const codes = guideElement('div', 'guide-cover-codes');
+  [[AR_APP_URL, 'guide.appCode'], [SITE_URL, 'guide.siteCode']].forEach(([url, key]) => {
+    const figure = guideElement('figure', 'guide-item-qr');
+    figure.appendChild(createQRCode(url, t(key)));
+    figure.appendChild(guideElement('figcaption', '', t(key)));
+    codes.appendChild(figure);
+  });
+  cover.append(
+    logo,
+    guideElement('p', 'guide-cover-tagline', t('site.tagline')),
+    guideElement('h1', 'guide-cover-title', t('site.name')),
+    guideElement('p', 'guide-cover-subtitle', t('guide.title')),
+    guideElement('p', 'guide-cover-lead', t('guide.lead')),
+    codes,
+    guideElement('p', 'guide-cover-date', t('guide.printed', {
+      date: new Intl.DateTimeFormat(currentLocale, { dateStyle: 'long' }).format(new Date()),
+    }))
+  );
+  guide.appendChild(cover);
+
+  // ── History: the story, then the timeline in one line per event ──
+  const history = guideElement('section', 'guide-page guide-history');
+  history.appendChild(guideElement('h2', 'guide-heading', t('guide.history')));
+  document.querySelectorAll('.story-text p').forEach((p) => {
+    history.appendChild(guideElement('p', 'guide-story', elementText(p)));
+  });
+  if (timeline.length) {
+    const list = guideElement('dl', 'guide-timeline');
+    timeline.forEach((entry) => {
+      list.append(
+        guideElement('dt', '', formatTimelineYear(entry)),
+        guideElement('dd', '', localizedField(entry, 'title'))
+      );
+    });
+    history.appendChild(list);
+  }
+  guide.appendChild(history);
+
+  // ── Heritage ──
+  if (heritage.length) {
+    const section = guideElement('section', 'guide-page guide-heritage');
+    section.appendChild(guideElement('h2', 'guide-heading', t('guide.heritage')));
+    heritage.forEach((item) => {
+      section.appendChild(createGuideItem({
+        title: localizedField(item, 'name'),
+        meta: localizedField(item, 'designation'),
+        text: localizedField(item, 'summary'),
+        image: item.image,
+        url: heritageAppUrl(item),
+      }));
+    });
+    guide.appendChild(section);
+  }
+
+  // ── Places ──
+  if (places.length) {
+    const section = guideElement('section', 'guide-page guide-places');
+    section.appendChild(guideElement('h2', 'guide-heading', t('guide.places')));
+    section.appendChild(guideElement('p', 'guide-note', t('guide.placesNote')));
+    places.forEach((place) => {
+      const name = localizedField(place, 'name');
+      section.appendChild(createGuideItem({
+        title: name,
+        meta: t(`map.kind.${place.kind}`),
+        reading: place.reading && name === place.name ? place.reading : '',
+        text: localizedField(place, 'description'),
+      }));
+    });
+    guide.appendChild(section);
+  }
+
+  guide.appendChild(guideElement('p', 'guide-footer', `${t('site.name')} — ${SITE_URL}`));
+  return guide;
+};
+
+const initFieldGuide = () => {
+  const buttons = document.querySelectorAll('.guide-print');
+  if (!buttons.length) return;
+
+  const root = document.documentElement;
+  let guide = null;
+
+  const removeGuide = () => {
+    guide?.remove();
+    guide = null;
+    delete root.dataset.print;
+  };
+
+  buttons.forEach((button) => {
+    button.hidden = false;
+    button.addEventListener('click', async () => {
+      if (guide) return;
+      button.disabled = true;
+      button.setAttribute('aria-busy', 'true');
+      try {
+        guide = await buildFieldGuide();
+        document.body.appendChild(guide);
+        root.dataset.print = 'guide';
+        // Photos must be in before the print snapshot is taken.
+        await Promise.all([...guide.querySelectorAll('img')].map((img) => img.decode().catch(() => {})));
+        trackEvent('guide_print', { items: guide.querySelectorAll('.guide-item').length });
+        window.print();
+      } catch (err) {
+        console.warn('Field guide could not be built:', err);
+        removeGuide();
+      } finally {
+        button.disabled = false;
+        button.removeAttribute('aria-busy');
+      }
+    });
+  });
+
+  // print() returns before the dialog closes in some browsers; this
+  // fires once printing is really over.
+  window.addEventListener('afterprint', removeGuide);
+};
+
+/* =================================================================
+   25. AR READINESS CHECK (before launching the WebAR app)
+   ================================================================= */
+
+// Links marked `data-ar-check` open a pre-flight panel instead of going
+// straight to the app. It checks location, compass, camera and distance to
+// the lake, and recommends which of the app's modes to pick: 3D (at the
+// lake, everything working) or 2D (maps and archive, anywhere). The app is
+// opened at the link's own URL; the mode is chosen inside the app.
+// Nothing the device reports leaves the page.
+//
+// All device access goes through `arDevice`; setArDevice() swaps it for a
+// stand-in so the check can run without a phone or a browser, and
+// ?ar-device=<name> picks a ready-made one off the public site.
+const AR_NEAR_LAKE_M = 3000;
+const AR_ORIENTATION_WAIT = 1500; // ms to wait for a first sensor reading
+const LAKE_OKUTAMA = { lat: 35.783, lng: 139.02 }; // if the gazetteer is missing
+const AR_CHECKS = ['location', 'distance', 'orientation', 'camera'];
+
+/** @returns {Promise<PermissionState|'unknown'>} */
+const queryPermission = async (name) => {
+  try {
+    return (await navigator.permissions.query({ name })).state;
+  } catch {
+    return 'unknown'; // no Permissions API, or it doesn't know `name`
+  }
+};
+
+/**
+ * Device access used by the check.
+ * @typedef {Object} ArDevice
+ * @property {() => boolean} geolocation  whether there is a Geolocation API
+ * @property {(name: string) => Promise<PermissionState|'unknown'>} permission
+ * @property {() => Promise<{lat: number, lng: number}>} locate  rejects with `{ code }` as GeolocationPositionError
+ * @property {() => 'unsupported'|'prompt'|'available'} orientation  'prompt': needs requestOrientation() (iOS)
+ * @property {() => Promise<PermissionState>} requestOrientation  must be called from a click
+ * @property {(timeout: number) => Promise<boolean>} orientationReading  whether a reading arrived in time
+ * @property {() => Promise<'unsupported'|'denied'|'missing'|'ok'>} camera
+ */
+
+/** @type {ArDevice} */
+const browserArDevice = {
+  geolocation: () => 'geolocation' in navigator,
+  permission: queryPermission,
+  locate: () => new Promise((resolve, reject) => {
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => resolve({ lat: coords.latitude, lng: coords.longitude }),
+      reject,
+      { enableHighAccuracy: true, timeout: 15000, maximumAge: 60000 }
+    );
+  }),
+  orientation: () => {
+    if (!('DeviceOrientationEvent' in window)) return 'unsupported';
+    return typeof DeviceOrientationEvent.requestPermission === 'function' ? 'prompt' : 'available';
+  },
+  requestOrientation: () => DeviceOrientationEvent.requestPermission(),
+  orientationReading: (timeout) => new Promise((resolve) => {
+    // Desktop browsers have the event but never fire it, or fire it empty.
+    const events = ['deviceorientationabsolute', 'deviceorientation'];
+    const finish = (ok) => {
+      clearTimeout(timer);
+      events.forEach((type) => window.removeEventListener(type, onReading));
+      resolve(ok);
+    };
+    const onReading = (e) => {
+      if (e.alpha !== null) finish(true);
+    };
+    const timer = setTimeout(() => finish(false), timeout);
+    events.forEach((type) => window.addEventListener(type, onReading));
+  }),
+  camera: async () => {
+    if (!navigator.mediaDevices?.getUserMedia) return 'unsupported';
+    if (await queryPermission('camera') === 'denied') return 'denied';
+    try {
+      const devices = await navigator.mediaDevices.enumerateDevices();
+      return devices.some((device) => device.kind === 'videoinput') ? 'ok' : 'missing';
+    } catch {
+      return 'ok'; // can't tell; the app will ask for it
+    }
+  },
+};
+
+let arDevice = browserArDevice;
+
+/** @param {Partial<ArDevice>|null} device  null restores the browser */
+const setArDevice = (device) => {
+  arDevice = device ? { ...browserArDevice, ...device } : browserArDevice;
+};
+
+/** A device where everything works, standing at `position`. */
+const simulatedArDevice = (position, overrides = {}) => ({
+  geolocation: () => true,
+  permission: async () => 'granted',
+  locate: async () => position,
+  orientation: () => 'available',
+  requestOrientation: async () => 'granted',
+  orientationReading: async () => true,
+  camera: async () => 'ok',
+  ...overrides,
+});
+
+const AT_THE_DAM = { lat: 35.7896, lng: 139.0476 };
+const AT_TOKYO_STATION = { lat: 35.6812, lng: 139.7671 };
+
+// Off the public site, ?ar-device=<name> runs the check against one of these.
+const AR_DEVICE_SIMULATIONS = {
+  lake: simulatedArDevice(AT_THE_DAM),
+  far: simulatedArDevice(AT_TOKYO_STATION),
+  iphone: simulatedArDevice(AT_THE_DAM, {
+    permission: async () => 'prompt',
+    orientation: () => 'prompt',
+  }),
+  desktop: simulatedArDevice(AT_TOKYO_STATION, {
+    orientationReading: async () => false,
+    camera: async () => 'missing',
+  }),
+  denied: simulatedArDevice(AT_THE_DAM, {
+    permission: async () => 'denied',
+    orientation: () => 'prompt',
+    requestOrientation: async () => 'denied',
+    camera: async () => 'denied',
+  }),
+};
+
+/** Great-circle distance in metres. */
+const distanceBetween = (a, b) => {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const h = Math.sin(rad(b.lat - a.lat) / 2) ** 2 +
+    Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(rad(b.lng - a.lng) / 2) ** 2;
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+};
+
+/** Metres from `position` to the nearest gazetteer place on the lake. */
+const lakeDistance = (position, places) =>
+  Math.min(...(places.length ? places : [LAKE_OKUTAMA]).map((place) => distanceBetween(position, place)));
+
+/**
+ * '3d' when every check passed at the lake, '2d' otherwise, or null while
+ * a check is still running.
+ * @param {{location: string, orientation: string, camera: string, distance: number|null}} state
+ */
+const recommendArMode = (state) => {
+  if ([state.location, state.orientation, state.camera].includes('checking')) return null;
+  const ready = state.location === 'ok' && state.orientation === 'ok' && state.camera === 'ok';
+  return ready && state.distance <= AR_NEAR_LAKE_M ? '3d' : '2d';
+};
+
+/** @returns {'ok'|'warn'|'fail'|'pending'} how a check's row is marked */
+const arCheckLevel = (check, state) => {
+  if (check === 'distance') {
+    if (state.distance === null) return 'pending';
+    return state.distance <= AR_NEAR_LAKE_M ? 'ok' : 'warn';
+  }
+  const value = state[check];
+  if (value === 'ok') return 'ok';
+  if (value === 'checking' || value === 'prompt') return 'pending';
+  return 'fail';
+};
+
+const formatDistance = (metres) => new Intl.NumberFormat(currentLocale, metres < 1000
+  ? { style: 'unit', unit: 'meter', maximumFractionDigits: 0 }
+  : { style: 'unit', unit: 'kilometer', maximumFractionDigits: metres < 10000 ? 1 : 0 }
+).format(metres < 1000 ? Math.max(10, Math.round(metres / 10) * 10) : metres / 1000);
+
+const initArCheck = () => {
+  const dialog = document.querySelector('.ar-check');
+  if (!dialog) return;
+
+  const simulation = new URLSearchParams(location.search).get('ar-device');
+  if (Object.hasOwn(AR_DEVICE_SIMULATIONS, simulation) && !isProductionSite()) {
+    setArDevice(AR_DEVICE_SIMULATIONS[simulation]);
+  }
+
+  const list = dialog.querySelector('.ar-check-list');
+  const result = dialog.querySelector('.ar-check-result');
+  const launch = dialog.querySelector('.ar-check-launch');
+  const skip = dialog.querySelector('.ar-check-skip');
+
+  let state = null;
+  let run = 0;
+  let baseUrl = AR_APP_URL;
+  let placement = '';
+  let returnFocus = null;
+  let lakePlaces = null;
+
+  // ── Rows ──────────────────────────────────────────────────
+  const rows = new Map(AR_CHECKS.map((check) => {
+    const li = document.createElement('li');
+    li.className = 'ar-check-item';
+    const icon = document.createElement('span');
+    icon.className = 'ar-check-icon';
+    icon.setAttribute('aria-hidden', 'true');
+    const text = document.createElement('div');
+    const name = document.createElement('strong');
+    name.className = 'ar-check-name';
+    const message = document.createElement('p');
+    message.className = 'ar-check-message';
+    const action = document.createElement('button');
+    action.type = 'button';
+    action.className = 'btn btn-secondary btn-sm ar-check-action';
+    action.hidden = true;
+    text.append(name, message, action);
+    li.append(icon, text);
+    list.appendChild(li);
+    return [check, { li, name, message, action }];
+  }));
+
+  const messageFor = (check) => {
+    if (state[check] === 'checking') return t('arCheck.checking');
+    if (check !== 'distance') return t(`arCheck.${check}.${state[check]}`);
+    if (state.distance === null) return t('arCheck.distance.unknown');
+    const key = state.distance <= AR_NEAR_LAKE_M ? 'arCheck.distance.near' : 'arCheck.distance.far';
+    return t(key, { distance: formatDistance(state.distance) });
+  };
+
+  const render = () => {
+    if (!state) return;
+    rows.forEach((row, check) => {
+      row.li.dataset.state = arCheckLevel(check, state);
+      row.name.textContent = t(`arCheck.${check}`);
+      row.message.textContent = messageFor(check);
+      row.action.hidden = state[check] !== 'prompt';
+      if (!row.action.hidden) row.action.textContent = t(`arCheck.${check}.action`);
+    });
+
+    const mode = recommendArMode(state);
+    if (!mode) result.textContent = t('arCheck.checking');
+    else if (mode === '3d') result.textContent = t('arCheck.recommend3d');
+    else if (state.distance > AR_NEAR_LAKE_M) result.textContent = t('arCheck.recommend2dFar');
+    else result.textContent = t('arCheck.recommend2d');
+    result.dataset.mode = mode || '';
+
+    launch.hidden = !mode;
+    launch.href = baseUrl;
+    launch.dataset.mode = mode || '';
+    launch.textContent = t('arCheck.launch');
+    skip.href = baseUrl;
+  };
+
+  // ── Checks ────────────────────────────────────────────────
+  // Each run gets a token; results arriving after a retry or close are dropped.
+  const updater = (token) => (patch) => {
+    if (token !== run) return;
+    Object.assign(state, patch);
+    render();
+  };
+
+  const locate = async (set) => {
+    set({ location: 'checking' });
+    try {
+      const [position, places] = await Promise.all([arDevice.locate(), lakePlaces]);
+      set({ location: 'ok', distance: lakeDistance(position, places) });
+    } catch (err) {
+      set({ location: err?.code === 1 ? 'denied' : 'unavailable' });
+    }
+  };
+
+  const checkLocation = async (set) => {
+    if (!arDevice.geolocation()) return set({ location: 'unsupported' });
+    const permission = await arDevice.permission('geolocation');
+    if (permission === 'denied') return set({ location: 'denied' });
+    // Asking straight away would pop up a prompt the visitor hasn't read about.
+    if (permission !== 'granted') return set({ location: 'prompt' });
+    return locate(set);
+  };
+
+  const readOrientation = async (set) => {
+    set({ orientation: 'checking' });
+    set({ orientation: await arDevice.orientationReading(AR_ORIENTATION_WAIT) ? 'ok' : 'silent' });
+  };
+
+  const checkOrientation = async (set) => {
+    const support = arDevice.orientation();
+    if (support === 'unsupported') return set({ orientation: 'unsupported' });
+    if (support === 'prompt') return set({ orientation: 'prompt' });
+    return readOrientation(set);
+  };
+
+  const start = () => {
+    run += 1;
+    const set = updater(run);
+    lakePlaces ??= loadGazetteerPlaces();
+    state = { location: 'checking', orientation: 'checking', camera: 'checking', distance: null };
+    render();
+    checkLocation(set);
+    checkOrientation(set);
+    arDevice.camera().then((camera) => set({ camera }), () => set({ camera: 'unsupported' }));
+  };
+
+  rows.get('location').action.addEventListener('click', () => locate(updater(run)));
+  rows.get('orientation').action.addEventListener('click', async () => {
+    const set = updater(run);
+    // The permission prompt only appears when asked from the click itself.
+    const answer = await arDevice.requestOrientation().catch(() => 'denied');
+    if (answer === 'granted') readOrientation(set);
+    else set({ orientation: 'denied' });
+  });
+
+  // ── Opening & launching ───────────────────────────────────
+  document.addEventListener('click', (e) => {
+    const link = e.target.closest('a[data-ar-check]');
+    if (!link || e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    baseUrl = link.href;
+    placement = link.dataset.trackPlacement || link.closest('section[id]')?.id || 'page';
+    const active = document.activeElement;
+    returnFocus = active && active !== document.body ? active : link;
+    if (!dialog.open) dialog.showModal();
+    start();
+  });
+
+  launch.addEventListener('click', () => {
+    trackEvent('ar_launch', { mode: launch.dataset.mode, placement });
+    dialog.close();
+  });
+  skip.addEventListener('click', () => dialog.close());
+  dialog.querySelector('.ar-check-retry').addEventListener('click', start);
+
+  dialog.addEventListener('close', () => {
+    run += 1;
+    state = null;
+    if (returnFocus?.isConnected) returnFocus.focus();
+    returnFocus = null;
+  });
+  dialog.querySelector('.ar-check-close').addEventListener('click', () => dialog.close());
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) dialog.close();
+  });
+
+  document.addEventListener('localechange', render);
+};
+
+/* =================================================================
+   26. POSTCARDS (archive photo + message → PNG)
+   ================================================================= */
+
+// The hero bubbles, the lightbox and the gallery open the postcard dialog
+// with an `openpostcard` event ({ detail: { id } }; no id keeps the last
+// photo). The card is drawn on a canvas from a template and a format; the
+// photo's credit is part of every template and can't be switched off.
+const POSTCARD_FORMATS = {
+  square: { width: 1080, height: 1080 },
+  story: { width: 1080, height: 1920 },
+};
+const POSTCARD_LOGO = 'images/logo.png';
+const POSTCARD_LOGO_CROP = [80, 320, 1780, 520]; // x, y, w, h of the lettering in logo.png
+const POSTCARD_REDRAW_DELAY = 250;
+const POSTCARD_CREDIT_MIN_SIZE = 12; // px; below this a long credit wraps instead
+
+/** Load an image and wait until it can be drawn. */
+const loadCanvasImage = async (src) => {
+  const img = new Image();
+  img.src = src;
+  await img.decode();
+  return img;
+};
+
+/** Draw `img` over the box, cropped like object-fit: cover. */
+const drawCover = (ctx, img, x, y, w, h) => {
+  const scale = Math.max(w / img.naturalWidth, h / img.naturalHeight);
+  const sw = w / scale;
+  const sh = h / scale;
+  ctx.drawImage(img, (img.naturalWidth - sw) / 2, (img.naturalHeight - sh) / 2, sw, sh, x, y, w, h);
+};
+
+const fillRoundRect = (ctx, x, y, w, h, radius) => {
+  ctx.beginPath();
+  if (ctx.roundRect) ctx.roundRect(x, y, w, h, radius);
+  else ctx.rect(x, y, w, h);
+  ctx.fill();
+};
+
+/** Tone the pixels in the box like an old print. */
+const sepiaTone = (ctx, x, y, w, h) => {
+  const area = ctx.getImageData(Math.round(x), Math.round(y), Math.round(w), Math.round(h));
+  const px = area.data;
+  for (let i = 0; i < px.length; i += 4) {
+    const [r, g, b] = [px[i], px[i + 1], px[i + 2]];
+    px[i] = Math.min(255, r * 0.393 + g * 0.769 + b * 0.189);
+    px[i + 1] = Math.min(255, r * 0.349 + g * 0.686 + b * 0.168);
+    px[i + 2] = Math.min(255, r * 0.272 + g * 0.534 + b * 0.131);
+  }
+  ctx.putImageData(area, Math.round(x), Math.round(y));
+};
+
+/**
+ * Break text into lines no wider than maxWidth: at spaces for Latin and
+ * Hangul words, between any two characters for Japanese and Chinese.
+ * Text beyond maxLines is cut with an ellipsis.
+ */
+const wrapCanvasText = (ctx, text, maxWidth, maxLines) => {
+  const tokens = text.replace(/\s+/g, ' ').trim()
+    .match(/[\p{Script=Latin}\p{Script=Hangul}\p{N}'’.,!?:;()-]+ ?| |./gu) || [];
+  const lines = [];
+  let line = '';
+  tokens.forEach((token) => {
+    if (line && ctx.measureText((line + token).trimEnd()).width > maxWidth) {
+      lines.push(line.trimEnd());
+      line = token.trimStart();
+    } else {
+      line += token;
+    }
+  });
+  if (line.trim()) lines.push(line.trimEnd());
+  if (lines.length <= maxLines) return lines;
+
+  const kept = lines.slice(0, maxLines);
+  let last = kept[maxLines - 1];
+  while (last && ctx.measureText(`${last}…`).width > maxWidth) last = last.slice(0, -1);
+  kept[maxLines - 1] = `${last.trimEnd()}…`;
+  return kept;
+};
+
+/** Message, caption and year as measured lines, `y` relative to the block. */
+const postcardTextLines = (ctx, card, width, size) => {
+  const lines = [];
+  let y = 0;
+  [
+    ['message', card.message, size * 1.3, card.fonts.heading, 3],
+    ['caption', card.caption, size, card.fonts.heading, 2],
+    ['meta', card.meta, size * 0.62, card.fonts.body, 1],
+  ].forEach(([role, text, fontSize, family, maxLines]) => {
+    if (!text) return;
+    if (lines.length) y += fontSize * 0.4;
+    const font = `${Math.round(fontSize)}px ${family}`;
+    ctx.font = font;
+    wrapCanvasText(ctx, text, width, maxLines).forEach((line) => {
+      lines.push({ role, line, font, y });
+      y += fontSize * 1.5;
+    });
+  });
+  return { lines, height: y };
+};
+
+const drawTextLines = (ctx, { lines }, x, top, align, colors) => {
+  ctx.textAlign = align;
+  ctx.textBaseline = 'top';
+  lines.forEach(({ role, line, font, y }) => {
+    ctx.font = font;
+    ctx.fillStyle = colors[role];
+    ctx.fillText(line, x, top + y);
+  });
+};
+
+/**
+ * The logo with the credit line under it, ending at `bottom`. The credit
+ * shrinks to fit rather than being cut. Returns the footer's top edge.
+ */
+const drawPostcardFooter = (ctx, card, { x, width, bottom, align, color, plate }) => {
+  const anchor = { left: x, center: x + width / 2, right: x + width }[align];
+  let size = Math.round(width * 0.026);
+  ctx.font = `${size}px ${card.fonts.body}`;
+  while (size > POSTCARD_CREDIT_MIN_SIZE && ctx.measureText(card.credit).width > width) {
+    size -= 1;
+    ctx.font = `${size}px ${card.fonts.body}`;
+  }
+  // Still too long at the smallest size: wrap it, never cut it off.
+  // maxWidth squeezes a single unbreakable word (a long URL) to fit.
+  const credit = wrapCanvasText(ctx, card.credit, width, Infinity);
+  const lineHeight = Math.round(size * 1.35);
+  ctx.textAlign = align;
+  ctx.textBaseline = 'alphabetic';
+  ctx.fillStyle = color;
+  credit.forEach((line, i) => {
+    ctx.fillText(line, anchor, bottom - (credit.length - 1 - i) * lineHeight, width);
+  });
+
+  const [sx, sy, sw, sh] = POSTCARD_LOGO_CROP;
+  const logoWidth = width * 0.42;
+  const logoHeight = (logoWidth * sh) / sw;
+  const logoX = { left: x, center: anchor - logoWidth / 2, right: anchor - logoWidth }[align];
+  const logoY = bottom - (credit.length - 1) * lineHeight - size * 1.8 - logoHeight;
+  if (plate) {
+    // The lettering is dark blue; it needs paper behind it on a dark card.
+    const margin = logoHeight * 0.18;
+    ctx.fillStyle = 'rgba(245, 240, 232, 0.92)';
+    fillRoundRect(ctx, logoX - margin, logoY - margin, logoWidth + margin * 2, logoHeight + margin * 2, margin);
+    ctx.drawImage(card.logo, sx, sy, sw, sh, logoX, logoY, logoWidth, logoHeight);
+    return logoY - margin;
+  }
+  ctx.drawImage(card.logo, sx, sy, sw, sh, logoX, logoY, logoWidth, logoHeight);
+  return logoY;
+};
+
+const POSTCARD_TEMPLATES = {
+  // A print with a white border on paper, words underneath.
+  frame: (ctx, card, width, height) => {
+    const pad = Math.round(width * 0.06);
+    const inner = width - pad * 2;
+    ctx.fillStyle = '#f5f0e8';
+    ctx.fillRect(0, 0, width, height);
+
+    const footerTop = drawPostcardFooter(ctx, card, {
+      x: pad, width: inner, bottom: height - pad * 0.6, align: 'right', color: '#6b5540',
+    });
+    const text = postcardTextLines(ctx, card, inner, Math.round(width * 0.04));
+    const textTop = footerTop - pad * 0.4 - text.height;
+    drawTextLines(ctx, text, pad, textTop, 'left', { message: '#4a3a2a', caption: '#2a2018', meta: '#6b5540' });
+
+    const photoHeight = textTop - pad * 1.4;
+    const border = Math.round(width * 0.018);
+    ctx.save();
+    ctx.shadowColor = 'rgba(42, 32, 24, 0.25)';
+    ctx.shadowBlur = 24;
+    ctx.shadowOffsetY = 6;
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(pad, pad, inner, photoHeight);
+    ctx.restore();
+    drawCover(ctx, card.image, pad + border, pad + border, inner - border * 2, photoHeight - border * 2);
+  },
+
+  // The photo edge to edge, words on a dark fade at the bottom.
+  full: (ctx, card, width, height) => {
+    const pad = Math.round(width * 0.06);
+    const inner = width - pad * 2;
+    drawCover(ctx, card.image, 0, 0, width, height);
+    const fade = ctx.createLinearGradient(0, height * 0.4, 0, height);
+    fade.addColorStop(0, 'rgba(20, 15, 10, 0)');
+    fade.addColorStop(1, 'rgba(20, 15, 10, 0.88)');
+    ctx.fillStyle = fade;
+    ctx.fillRect(0, 0, width, height);
+
+    const footerTop = drawPostcardFooter(ctx, card, {
+      x: pad, width: inner, bottom: height - pad * 0.6, align: 'left', color: 'rgba(250, 247, 240, 0.85)', plate: true,
+    });
+    const text = postcardTextLines(ctx, card, inner, Math.round(width * 0.042));
+    ctx.save();
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
+    ctx.shadowBlur = 8;
+    drawTextLines(ctx, text, pad, footerTop - pad * 0.5 - text.height, 'left', {
+      message: '#ffffff', caption: '#faf7f0', meta: 'rgba(250, 247, 240, 0.8)',
+    });
+    ctx.restore();
+  },
+
+  // A sepia print on a dark album page, centred.
+  sepia: (ctx, card, width, height) => {
+    const pad = Math.round(width * 0.07);
+    const inner = width - pad * 2;
+    ctx.fillStyle = '#3a3025';
+    ctx.fillRect(0, 0, width, height);
+
+    const footerTop = drawPostcardFooter(ctx, card, {
+      x: pad, width: inner, bottom: height - pad * 0.5, align: 'center', color: 'rgba(239, 230, 212, 0.8)', plate: true,
+    });
+    const text = postcardTextLines(ctx, card, inner, Math.round(width * 0.04));
+    const textTop = footerTop - pad * 0.5 - text.height;
+    drawTextLines(ctx, text, width / 2, textTop, 'center', {
+      message: '#faf7f0', caption: '#efe6d4', meta: '#c8b89c',
+    });
+
+    const photoHeight = textTop - pad * 1.5;
+    const border = Math.round(width * 0.022);
+    ctx.fillStyle = '#efe6d4';
+    ctx.fillRect(pad, pad, inner, photoHeight);
+    const box = [pad + border, pad + border, inner - border * 2, photoHeight - border * 2];
+    drawCover(ctx, card.image, ...box);
+    sepiaTone(ctx, ...box);
+  },
+};
+
+const cssFontFamily = (name) => getComputedStyle(document.documentElement).getPropertyValue(name).trim() || 'serif';
+
+/** Everything drawn on the card; the credit always names the photo's source and its terms of use. */
+const postcardContent = (photo, image, logo, message) => ({
+  image,
+  logo,
+  caption: photo.caption,
+  meta: formatPhotoMeta(photo),
+  message: message.trim(),
+  credit: [
+    photo.credit && t('photo.credit', { credit: photo.credit }),
+    photo.rights,
+    SITE_URL.replace(/^https:\/\/|\/$/g, ''),
+  ]
+    .filter(Boolean)
+    .join(t('photo.rightsSeparator')),
+  fonts: { heading: cssFontFamily('--font-heading'), body: cssFontFamily('--font-body') },
+});
+
+/** Canvas text doesn't wait for web fonts, so fetch the glyphs first. */
+const loadPostcardFonts = async (card) => {
+  if (!document.fonts?.load) return;
+  const text = [card.message, card.caption, card.meta, card.credit].join('');
+  await Promise.all([
+    document.fonts.load(`40px ${card.fonts.heading}`, text),
+    document.fonts.load(`24px ${card.fonts.body}`, text),
+  ]).catch(() => {});
+};
+
+/**
+ * Draw the card at full size onto `canvas`.
+ * @param {'frame'|'full'|'sepia'} template
+ * @param {'square'|'story'} format
+ */
+const drawPostcard = (canvas, card, template, format) => {
+  const { width, height } = POSTCARD_FORMATS[format];
+  canvas.width = width;
+  canvas.height = height;
+  POSTCARD_TEMPLATES[template](canvas.getContext('2d'), card, width, height);
+};
+
+const canvasToBlob = (canvas) => new Promise((resolve, reject) => {
+  canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Canvas could not be exported'))), 'image/png');
+});
+
+const initPostcards = async () => {
+  const dialog = document.querySelector('.postcard');
+  if (!dialog) return;
+
+  const photos = await loadPhotoManifest();
+  if (!photos.length) return;
+  const byId = new Map(photos.map((photo) => [photo.id, photo]));
+
+  const form = dialog.querySelector('.postcard-form');
+  const canvas = dialog.querySelector('.postcard-canvas');
+  const picker = dialog.querySelector('.postcard-photo-list');
+  const shareBtn = dialog.querySelector('.postcard-share');
+  const saveButtons = [dialog.querySelector('.postcard-download'), shareBtn];
+  const statusEl = dialog.querySelector('.postcard-status');
+  const rightsEl = dialog.querySelector('.postcard-rights');
+
+  let current = photos[0];
+  let drawing = Promise.resolve();
+  let blob = null; // the PNG of what's on screen, ready before a share tap
+  let token = 0;
+  let returnFocus = null;
+  const images = new Map();
+
+  const image = (src) => {
+    if (!images.has(src)) {
+      images.set(src, loadCanvasImage(src).catch((err) => {
+        images.delete(src);
+        throw err;
+      }));
+    }
+    return images.get(src);
+  };
+
+  const setStatus = (key) => {
+    statusEl.textContent = key ? t(key) : '';
+  };
+
+  // ── Photo picker ──────────────────────────────────────────
+  const choices = photos.map((photo) => {
+    const label = document.createElement('label');
+    label.className = 'postcard-photo';
+    const input = document.createElement('input');
+    input.type = 'radio';
+    input.name = 'photo';
+    input.value = photo.id;
+    const img = document.createElement('img');
+    img.dataset.src = photo.src;
+    img.alt = photoAltText(photo);
+    img.loading = 'lazy';
+    label.append(input, img);
+    picker.appendChild(label);
+    return { photo, input, img };
+  });
+
+  // ── Drawing ───────────────────────────────────────────────
+  const redraw = () => {
+    const run = ++token;
+    const { template, format, message } = form.elements;
+    blob = null;
+    saveButtons.forEach((button) => { button.disabled = true; });
+    rightsEl.hidden = !current.rights;
+    rightsEl.textContent = current.rights ? t('postcard.rights', { rights: current.rights }) : '';
+    drawing = (async () => {
+      const [photoImage, logo] = await Promise.all([image(current.src), image(POSTCARD_LOGO)]);
+      const card = postcardContent(current, photoImage, logo, message.value);
+      await loadPostcardFonts(card);
+      if (run !== token) return;
+      drawPostcard(canvas, card, template.value, format.value);
+      canvas.dataset.format = format.value;
+      canvas.setAttribute('aria-label', t('postcard.preview', { caption: current.caption }));
+      blob = await canvasToBlob(canvas);
+      if (run === token) saveButtons.forEach((button) => { button.disabled = false; });
+    })();
+    drawing.then(() => setStatus(''), (err) => {
+      console.warn('Postcard could not be drawn:', err);
+      setStatus('postcard.error');
+    });
+    return drawing;
+  };
+  const redrawSoon = debounce(redraw, POSTCARD_REDRAW_DELAY);
+
+  form.addEventListener('change', (e) => {
+    if (e.target.name === 'photo') current = byId.get(e.target.value) ?? current;
+    redraw();
+  });
+  form.elements.message.addEventListener('input', redrawSoon);
+  form.addEventListener('submit', (e) => e.preventDefault());
+
+  // ── Opening ───────────────────────────────────────────────
+  const open = (id) => {
+    current = byId.get(id) ?? current;
+    choices.forEach(({ photo, input, img }) => {
+      input.checked = photo === current;
+      if (img.dataset.src) {
+        img.src = img.dataset.src;
+        img.removeAttribute('data-src');
+      }
+    });
+    if (!dialog.open) {
+      const active = document.activeElement;
+      returnFocus = active && active !== document.body ? active : null;
+      setStatus('');
+      dialog.showModal();
+    }
+    choices.find(({ photo }) => photo === current)?.input.closest('label')
+      .scrollIntoView({ block: 'nearest', inline: 'center' });
+    redraw();
+  };
+
+  document.addEventListener('openpostcard', (e) => open(e.detail?.id));
+  document.querySelectorAll('.postcard-open, .lightbox-postcard').forEach((button) => { button.hidden = false; });
+  document.querySelector('.postcard-open')?.addEventListener('click', () => open());
+
+  dialog.querySelector('.postcard-close').addEventListener('click', () => dialog.close());
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) dialog.close();
+  });
+  dialog.addEventListener('close', () => {
+    if (returnFocus?.isConnected) returnFocus.focus();
+    returnFocus = null;
+  });
+
+  // ── Saving & sharing ──────────────────────────────────────
+  const fileName = () => `ogouchi-postcard-${current.id}.png`;
+  const track = (method) => trackEvent('postcard_create', {
+    photo: current.id,
+    template: form.elements.template.value,
+    format: form.elements.format.value,
+    method,
+  });
+
+  dialog.querySelector('.postcard-download').addEventListener('click', async () => {
+    await drawing.catch(() => {});
+    if (!blob) return;
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName();
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    track('download');
+  });
+
+  const canShareFiles = () => {
+    try {
+      return !!navigator.canShare?.({ files: [new File([''], 'postcard.png', { type: 'image/png' })] });
+    } catch {
+      return false;
+    }
+  };
+
+  shareBtn.hidden = !canShareFiles();
+  shareBtn.addEventListener('click', async () => {
+    // Safari only shares straight from the tap, so the PNG must be ready.
+    if (!blob) return;
+    try {
+      await navigator.share({
+        files: [new File([blob], fileName(), { type: 'image/png' })],
+        title: t('site.name'),
+        text: current.caption,
+      });
+      track('share');
+    } catch (err) {
+      if (err?.name !== 'AbortError') {
+        console.warn('Postcard could not be shared:', err);
+        setStatus('postcard.shareError');
+      }
+    }
+  });
+
+  document.addEventListener('localechange', () => {
+    choices.forEach(({ photo, img }) => { img.alt = photoAltText(photo); });
+    if (dialog.open) redraw();
+  });
+};
+
+/* =================================================================
+   27. SITE SEARCH (page text, heritage, photos, places)
+   ================================================================= */
+
+// The nav's 検索 button, Ctrl/⌘+K or "/" open a search over the text of
+// every section and the data files behind the page. It all runs in the
+// browser. Text is normalised before matching (full-width → half-width,
+// katakana → hiragana, lower case), and Japanese terms that don't occur
+// as written still match when most of their character bigrams do, since
+// Japanese has no spaces to split words on. Kana also find the kanji
+// they are the reading of (data/readings.json and the gazetteer), so
+// おごうち finds 小河内. Elements with `data-no-search` are left out.
+const SEARCH_PAGE_SELECTOR = 'h1, h2, h3, h4, p, li, dt, dd, figcaption, blockquote';
+const SEARCH_SKIP = '[hidden], [aria-hidden="true"], [inert], [data-no-search], dialog';
+const SEARCH_MAX_RESULTS = 20;
+const SEARCH_SNIPPET_CONTEXT = 30; // characters either side of the first match
+const SEARCH_DELAY = 120; // ms after typing stops
+const SEARCH_BIGRAM_SHARE = 2 / 3; // of a term's bigrams, for a loose match
+const CJK_TEXT_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}々〆ー]/u;
+const SOUND_MARK_PATTERN = /^[゙゚]$/; // combining ゛ and ゜
+
+/** ァ–ヶ → ぁ–ゖ; anything else unchanged. */
+const toHiragana = (char) =>
+  (char >= 'ァ' && char <= 'ヶ' ? String.fromCharCode(char.charCodeAt(0) - 0x60) : char);
+
+/**
+ * Normalise text for matching and remember where each character came
+ * from: `value[i]` stands for `text.slice(starts[i], ends[i])`.
+ * ｶﾞｯｺｳ, ガッコウ and がっこう all become がっこう.
+ * @param {string} text
+ * @returns {{ value: string, starts: number[], ends: number[] }}
+ */
+const normalizeSearchText = (text) => {
+  const chars = [];
+  const starts = [];
+  const ends = [];
+  let offset = 0;
+  for (const char of text) {
+    const end = offset + char.length;
+    for (const folded of char.normalize('NFKC').toLowerCase()) {
+      const last = chars.length - 1;
+      if (SOUND_MARK_PATTERN.test(folded)) {
+        // Half-width ｶﾞ is カ plus a combining mark: make it one が.
+        const joined = last >= 0 ? (chars[last] + folded).normalize('NFC') : '';
+        if (joined.length === 1) {
+          chars[last] = joined;
+          ends[last] = end;
+        }
+      } else if (/\s/.test(folded)) {
+        if (last >= 0 && chars[last] !== ' ') {
+          chars.push(' ');
+          starts.push(offset);
+          ends.push(end);
+        }
+      } else {
+        chars.push(toHiragana(folded));
+        starts.push(offset);
+        ends.push(end);
+      }
+    }
+    offset = end;
+  }
+  return { value: chars.join(''), starts, ends };
+};
+
+/**
+ * Where `term` occurs in a normalised value: one span when it occurs as
+ * written; for Japanese, otherwise one span per bigram found when enough
+ * of them occur (小河内ダム also finds 小河内のダム). Null for no match.
+ * @param {string} value
+ * @param {string} term
+ * @returns {{ exact: boolean, spans: [number, number][] }|null}
+ */
+const matchSearchTerm = (value, term) => {
+  const at = value.indexOf(term);
+  if (at !== -1) return { exact: true, spans: [[at, at + term.length]] };
+  if (term.length < 3 || !CJK_TEXT_PATTERN.test(term)) return null;
+
+  const spans = [];
+  for (let i = 0; i < term.length - 1; i++) {
+    const found = value.indexOf(term.slice(i, i + 2));
+    if (found !== -1) spans.push([found, found + 2]);
+  }
+  if (spans.length < Math.ceil((term.length - 1) * SEARCH_BIGRAM_SHARE)) return null;
+  return { exact: false, spans };
+};
+
+/**
+ * The forms a query term is searched in: as typed, with any readings in
+ * it written in kanji (おごうちだむ → 小河内だむ), and the terms whose
+ * reading it begins (おごう → 小河内).
+ * @param {string} term  normalised
+ * @param {{ reading: string, written: string }[]} readings  longest reading first
+ * @returns {string[]}
+ */
+const searchTermVariants = (term, readings) => {
+  const variants = new Set([term]);
+  let written = term;
+  readings.forEach(({ reading, written: kanji }) => {
+    written = written.replaceAll(reading, kanji);
+    if (term.length >= 2 && reading.startsWith(term)) variants.add(kanji);
+  });
+  variants.add(written);
+  return [...variants];
+};
+
+/**
+ * Text with the matched spans wrapped in <mark>, cut to a window around
+ * the first match when `context` is given.
+ * @param {string} text
+ * @param {{ starts: number[], ends: number[] }} normalized
+ * @param {[number, number][]} spans  in normalised positions
+ * @param {number} [context]
+ * @returns {DocumentFragment}
+ */
+const highlightSearchText = (text, normalized, spans, context = Infinity) => {
+  const ranges = spans
+    .map(([from, to]) => [normalized.starts[from], normalized.ends[to - 1]])
+    .sort((a, b) => a[0] - b[0])
+    .reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+      else merged.push([...range]);
+      return merged;
+    }, []);
+
+  const first = ranges[0] ?? [0, 0];
+  const from = Math.max(0, first[0] - context);
+  const to = Math.min(text.length, first[1] + context);
+  const fragment = document.createDocumentFragment();
+  let at = from;
+  if (from > 0) fragment.append('…');
+  ranges.forEach(([start, end]) => {
+    if (end <= at || start >= to) return;
+    fragment.append(text.slice(at, Math.max(at, start)));
+    const mark = document.createElement('mark');
+    mark.textContent = text.slice(Math.max(at, start), Math.min(end, to));
+    fragment.append(mark);
+    at = Math.min(end, to);
+  });
+  fragment.append(text.slice(at, to));
+  if (to < text.length) fragment.append('…');
+  return fragment;
+};
+
+/**
+ * One searchable element per paragraph, heading or list item in the
+ * visible sections; blocks that hold other blocks are left to those.
+ * @returns {object[]}
+ */
+const pageSearchEntries = () => [...document.querySelectorAll('section[id]')].flatMap((section) => {
+  const label = elementText(section.querySelector('h1, h2')) ?? t('site.name');
+  return [...section.querySelectorAll(SEARCH_PAGE_SELECTOR)]
+    .filter((el) => !el.closest(SEARCH_SKIP) && !el.querySelector(SEARCH_PAGE_SELECTOR))
+    .map((el) => {
+      const text = elementText(el);
+      if (!text) return null;
+      const heading = /^H\d$/.test(el.tagName);
+      return {
+        kind: 'page',
+        label,
+        title: heading ? text : '',
+        text: heading ? '' : text,
+        target: el,
+        hash: `#${section.id}`,
+      };
+    })
+    .filter(Boolean);
+});
+
+/** Scroll to a page element and briefly highlight it. */
+const showSearchTarget = (target, hash) => {
+  const details = target.closest('details');
+  if (details) details.open = true;
+  scrollToTarget(target, hash);
+  target.classList.remove('search-flash');
+  void target.offsetWidth; // restart the animation on a repeat visit
+  target.classList.add('search-flash');
+  target.addEventListener('animationend', () => target.classList.remove('search-flash'), { once: true });
+};
+
+const initSiteSearch = () => {
+  const dialog = document.querySelector('.site-search');
+  const navLinks = document.querySelector('.nav-links');
+  if (!dialog || !navLinks) return;
+
+  const input = dialog.querySelector('.site-search-input');
+  const list = dialog.querySelector('.site-search-results');
+  const statusEl = dialog.querySelector('.site-search-status');
+
+  // ── Nav button (after the display settings) ───────────────
+  const item = document.createElement('li');
+  item.className = 'nav-search';
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'search-button';
+  button.setAttribute('aria-haspopup', 'dialog');
+  button.setAttribute('aria-keyshortcuts', 'Control+K Meta+K /');
+  button.innerHTML =
+    '<svg viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><circle cx="11" cy="11" r="7"/><path d="M20 20l-4-4"/></svg>';
+  const label = document.createElement('span');
+  label.dataset.i18n = 'search.button';
+  label.textContent = t('search.button');
+  button.appendChild(label);
+  item.appendChild(button);
+  const cta = navLinks.querySelector('.nav-cta')?.closest('li');
+  navLinks.insertBefore(item, cta ?? null);
+
+  // ── Data (fetched on first open) ──────────────────────────
+  let sources = null;
+  const loadSources = () => {
+    sources ??= Promise.all([loadReadings(), loadGazetteerPlaces(), loadHeritageItems(), loadPhotoManifest()])
+      .then(([readingData, places, heritage, photos]) => {
+        const pairs = [
+          ...[...(readingData?.terms ?? [])].map(([term, segments]) =>
+            [segments.map(([part, reading]) => reading || part).join(''), term]),
+          ...places.filter((place) => place.reading).map((place) => [place.reading, place.name]),
+        ];
+        const readings = pairs
+          .map(([reading, written]) => ({
+            reading: normalizeSearchText(reading).value,
+            written: normalizeSearchText(written).value,
+          }))
+          .filter(({ reading, written }) => reading && reading !== written)
+          .sort((a, b) => b.reading.length - a.reading.length);
+        return {
+          readings,
+          // Photos and places only have somewhere to open when their
+          // gallery and map made it onto the page.
+          places: document.querySelector('.map:not([hidden])') ? places : [],
+          heritage,
+          photos: document.querySelector('.gallery-grid > li') ? photos : [],
+        };
+      });
+    return sources;
+  };
+
+  /** Every searchable entry, in the current language. */
+  const buildEntries = ({ places, heritage, photos }) => [
+    ...pageSearchEntries(),
+    ...heritage.map((entry) => ({
+      kind: 'heritage',
+      label: t('search.kind.heritage'),
+      title: localizedField(entry, 'name'),
+      text: ['summary', 'history', 'designation', 'group']
+        .map((field) => localizedField(entry, field)).filter(Boolean).join(' '),
+      hash: `#heritage/${entry.id}`,
+    })),
+    ...photos.map((photo) => ({
+      kind: 'photo',
+      label: t('search.kind.photo'),
+      title: photo.caption,
+      text: [formatPhotoMeta(photo), ...photo.subjects, photo.credit].filter(Boolean).join(' '),
+      hash: `#photo/${photo.id}`,
+    })),
+    ...places.map((place) => ({
+      kind: 'place',
+      label: t('search.kind.place'),
+      title: localizedField(place, 'name'),
+      text: [place.reading, localizedField(place, 'description')].filter(Boolean).join(' '),
+      place: place.id,
+    })),
+  ].map((entry) => ({
+    ...entry,
+    normalizedTitle: normalizeSearchText(entry.title),
+    normalizedText: normalizeSearchText(entry.text),
+  }));
+
+  let entries = [];
+  let readings = [];
+  let results = [];
+  let renderedQuery = null;
+  let active = -1;
+  let returnFocus = null;
+
+  // ── Matching ──────────────────────────────────────────────
+  /** Matches for every term, best first; terms in the title count double. */
+  const search = (query) => {
+    const terms = normalizeSearchText(query).value.split(' ').filter(Boolean);
+    if (!terms.length) return [];
+    const variants = terms.map((term) => searchTermVariants(term, readings));
+
+    return entries
+      .map((entry, order) => {
+        let score = 0;
+        const titleSpans = [];
+        const textSpans = [];
+        for (const forms of variants) {
+          let best = null;
+          forms.forEach((form) => {
+            [['title', entry.normalizedTitle, 2], ['text', entry.normalizedText, 1]].forEach(([field, normalized, weight]) => {
+              const match = matchSearchTerm(normalized.value, form);
+              if (!match) return;
+              const points = weight * (match.exact ? 2 : 1);
+              if (!best || points > best.points) best = { field, points, spans: match.spans };
+            });
+          });
+          if (!best) return null;
+          score += best.points;
+          (best.field === 'title' ? titleSpans : textSpans).push(...best.spans);
+        }
+        return { entry, score, order, titleSpans, textSpans };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.score - a.score || a.order - b.order)
+      .slice(0, SEARCH_MAX_RESULTS);
+  };
+
+  // ── Results ───────────────────────────────────────────────
+  const setActive = (index) => {
+    const options = list.children;
+    active = options.length ? (index + options.length) % options.length : -1;
+    [...options].forEach((option, i) => option.setAttribute('aria-selected', String(i === active)));
+    const current = options[active];
+    if (current) {
+      input.setAttribute('aria-activedescendant', current.id);
+      current.scrollIntoView({ block: 'nearest' });
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  };
+
+  const render = () => {
+    const query = input.value.trim();
+    renderedQuery = query;
+    results = search(query);
+    list.replaceChildren(...results.map(({ entry, titleSpans, textSpans }, i) => {
+      const option = document.createElement('li');
+      option.className = 'site-search-result';
+      option.id = `site-search-result-${i}`;
+      option.setAttribute('role', 'option');
+
+      const kind = document.createElement('span');
+      kind.className = 'site-search-kind';
+      kind.textContent = entry.label;
+      option.appendChild(kind);
+
+      if (entry.title) {
+        const title = document.createElement('span');
+        title.className = 'site-search-result-title';
+        title.appendChild(highlightSearchText(entry.title, entry.normalizedTitle, titleSpans));
+        option.appendChild(title);
+      }
+      if (entry.text) {
+        const snippet = document.createElement('span');
+        snippet.className = 'site-search-snippet';
+        snippet.appendChild(highlightSearchText(entry.text, entry.normalizedText, textSpans, SEARCH_SNIPPET_CONTEXT));
+        option.appendChild(snippet);
+      }
+      return option;
+    }));
+    input.setAttribute('aria-expanded', String(results.length > 0));
+    setActive(0);
+
+    if (!query) statusEl.textContent = t('search.hint');
+    else if (!results.length) statusEl.textContent = t('search.none', { query });
+    else statusEl.textContent = t('search.count', { count: results.length });
+  };
+  const renderSoon = debounce(render, SEARCH_DELAY);
+
+  const choose = (index) => {
+    const result = results[index];
+    if (!result) return;
+    const { entry } = result;
+    trackEvent('site_search', { kind: entry.kind, position: index + 1, results: results.length });
+    returnFocus = null; // focus goes with the result instead
+    dialog.close();
+    closeMobileMenu();
+
+    if (entry.kind === 'page') {
+      showSearchTarget(entry.target, entry.hash);
+    } else if (entry.kind === 'place') {
+      scrollToTarget(document.querySelector('.section-map'), '#map');
+      document.dispatchEvent(new CustomEvent('openplace', { detail: { id: entry.place } }));
+    } else {
+      // The gallery and heritage dialogs open from their own routes.
+      location.hash = entry.hash;
+    }
+  };
+
+  // ── Opening ───────────────────────────────────────────────
+  const open = async () => {
+    if (dialog.open) {
+      input.select();
+      return;
+    }
+    const focused = document.activeElement;
+    returnFocus = focused && focused !== document.body ? focused : null;
+    statusEl.textContent = t('search.loading');
+    list.replaceChildren();
+    dialog.showModal();
+    input.focus();
+    input.select();
+
+    const data = await loadSources();
+    if (!dialog.open) return;
+    readings = data.readings;
+    entries = buildEntries(data);
+    render();
+  };
+
+  button.addEventListener('click', open);
+  document.addEventListener('keydown', (e) => {
+    if (e.defaultPrevented || e.altKey) return;
+    const shortcut = (e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k';
+    // "/" only when it wouldn't be typed into something.
+    const slash = e.key === '/' && !e.ctrlKey && !e.metaKey &&
+      !e.target.closest?.('input, textarea, select, [contenteditable]') &&
+      !document.querySelector('dialog[open]');
+    if (!shortcut && !slash) return;
+    e.preventDefault();
+    open();
+  });
+
+  input.addEventListener('input', renderSoon);
+  input.addEventListener('keydown', (e) => {
+    if (e.isComposing) return; // Enter confirms the IME conversion first
+    if (!['ArrowDown', 'ArrowUp', 'Enter'].includes(e.key)) return;
+    e.preventDefault();
+    if (input.value.trim() !== renderedQuery) render(); // typed faster than the delay
+    if (e.key === 'ArrowDown') setActive(active + 1);
+    else if (e.key === 'ArrowUp') setActive(active - 1);
+    else choose(Math.max(active, 0));
+  });
+  dialog.querySelector('.site-search-form').addEventListener('submit', (e) => e.preventDefault());
+
+  list.addEventListener('click', (e) => {
+    const option = e.target.closest('.site-search-result');
+    if (option) choose([...list.children].indexOf(option));
+  });
+  list.addEventListener('pointermove', (e) => {
+    const option = e.target.closest('.site-search-result');
+    const index = [...list.children].indexOf(option);
+    if (option && index !== active) setActive(index);
+  });
+
+  dialog.querySelector('.site-search-close').addEventListener('click', () => dialog.close());
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) dialog.close();
+  });
+  dialog.addEventListener('close', () => {
+    if (returnFocus?.isConnected) returnFocus.focus();
+    returnFocus = null;
+  });
+
+  document.addEventListener('localechange', () => {
+    if (!dialog.open || !sources) return;
+    sources.then((data) => {
+      entries = buildEntries(data);
+      render();
+    });
+  });
+};
+
+/* =========================================================
+   Boot
+   ========================================================= */
+
+const init = () => {
+  initI18n();
+  initDisplayPreferences();
+  initAnalytics();
+  initScrollAnimations();
+  initNavScroll();
+  initSmoothScroll();
   initHeroParallax();
   initCounterAnimation();
   initWaterRipple();
   initHeroPhotoBubbles();
   initMobileMenu();
-  initLazyIframes();
-  initCarousel();
-  injectStructuredData();
+  initVideoFacades();
+  initCarousels();
+  initTimeline();
+  initPhotoGallery();
+  initHeritageDetails();
+  initHamletMap();
+  initNews();
+  initContributionForm();
+  initFieldGuide();
+  initArCheck();
+  initPostcards();
+  initSiteSearch();
+  initFurigana();
+  initServiceWorker();
 };
 
 if (document.readyState === 'loading') {
@@ -0,0 +1,42 @@
+/**
+ * preferences.js
+ * 小河内タイムレンズ (Ogouchi Time Lens) - Display preferences
+ *
+ * Loaded without defer in <head>, so the saved choices are on <html>
+ * before the first paint and the page never flashes the wrong mode.
+ * The controls live in main.js (section 22); keep the keys and values
+ * here in step with READING_SETTINGS there.
+ */
+
+'use strict';
+
+(() => {
+  const root = document.documentElement;
+
+  const read = (name) => {
+    try {
+      return localStorage.getItem(`ogouchi-time-lens:${name}`);
+    } catch {
+      return null; // storage disabled: defaults apply
+    }
+  };
+
+  // data-<name> on <html>: allowed values, the first being the default.
+  const settings = {
+    'text-size': ['standard', 'large', 'x-large'],
+    contrast: ['standard', 'high'],
+    decorations: ['on', 'off'],
+    furigana: ['off', 'on'],
+  };
+  Object.entries(settings).forEach(([name, values]) => {
+    const stored = read(name);
+    root.setAttribute(`data-${name}`, values.includes(stored) ? stored : values[0]);
+  });
+
+  // Animations follow the OS setting until the visitor chooses.
+  const motion = read('motion');
+  const reduced = motion === 'on' || motion === 'off'
+    ? motion === 'off'
+    : window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  root.dataset.motion = reduced ? 'reduced' : 'full';
+})();
@@ -0,0 +1,165 @@
+/**
+ * sw.js
+ * 小河内タイムレンズ (Ogouchi Time Lens) - Service Worker
+ *
+ * Keeps the site usable around Okutama lake, where signal is poor.
+ * - The page shell and key images are precached at install time.
+ * - Archive photos (images/photos/) are served cache-first.
+ * - Other same-origin requests go to the network, falling back to cache.
+ * The shell and runtime caches are named after VERSION, so a deploy starts
+ * them afresh. The photo cache keeps its name across deploys: archive
+ * photos never change at the same URL, and refetching them all after each
+ * deploy would cost visitors with poor signal the most.
+ *
+ * All paths are relative to the worker's scope, so the same file works
+ * at the site root and under the GitHub Pages sub-path.
+ */
+
+'use strict';
+
+// Bump on every deploy that changes a precached file; the page then
+// offers a "new content available" prompt.
+const VERSION = '2026-10-19.24';
+
+const SHELL_CACHE = `shell-${VERSION}`;
+// Bump only to drop every cached archive photo.
+const PHOTO_CACHE = 'photos-v1';
+const RUNTIME_CACHE = `runtime-${VERSION}`;
+
+const PRECACHE_PATHS = [
+  './',
+  'index.html',
+  'style.css',
+  'main.js',
+  'preferences.js',
+  'manifest.webmanifest',
+  'feed.xml',
+  'data/photos.json',
+  'data/timeline.json',
+  'data/heritage.json',
+  'data/gazetteer.json',
+  'data/stats.json',
+  'data/readings.json',
+  'locales/en.json',
+  'locales/zh-Hans.json',
+  'locales/zh-Hant.json',
+  'locales/ko.json',
+  'images/logo.png',
+  'images/favicon.ico',
+  'images/favicon-32.png',
+  'images/icon-192.png',
+  'images/favicon-512.png',
+  'images/apple-touch-icon.png',
+  'images/okutama_georef.jpg',
+  'images/panorama.jpg',
+  'images/heritage/kashima.jpg',
+  'images/heritage/kuruma.jpg',
+  'images/heritage/hara.jpg',
+  'images/heritage/kawano.jpg',
+  'images/heritage/minwa.jpg',
+  'images/screenshots/time-lens_2d_0.jpg',
+  'images/screenshots/time-lens_2d_1.jpg',
+  'images/screenshots/time-lens_2d_2.jpg',
+  'images/screenshots/time-lens_2d_3.jpg',
+  'images/screenshots/time-lens_2d_4.jpg',
+  'images/screenshots/time-lens_3d_0.jpg',
+];
+
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+
+/* =========================================================
+   Lifecycle
+   ========================================================= */
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then((cache) =>
+      // `reload` bypasses the HTTP cache so a new version never
+      // precaches stale copies of the shell.
+      cache.addAll(PRECACHE_PATHS.map((path) => new Request(scopeUrl(path), { cache: 'reload' })))
+    )
+  );
+  // No skipWaiting() here: the page asks the visitor first.
+});
+
+self.addEventListener('activate', (event) => {
+  const keep = new Set([SHELL_CACHE, PHOTO_CACHE, RUNTIME_CACHE]);
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys.filter((key) => !keep.has(key)).map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+/* =========================================================
+   Fetch strategies
+   ========================================================= */
+
+/**
+ * Cache-first: answer from cache, otherwise fetch and store.
+ * @param {Request} request
+ * @param {string} cacheName
+ */
+const cacheFirst = async (request, cacheName) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(cacheName);
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+/**
+ * Network-first: fetch and refresh the cache, falling back to it offline.
+ * @param {Request} request
+ * @param {string} cacheName
+ */
+const networkFirst = async (request, cacheName) => {
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const cache = await caches.open(cacheName);
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    throw err;
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  // Third-party requests (fonts, YouTube, analytics) are left alone.
+  if (url.origin !== self.location.origin) return;
+
+  // Page navigations: the precached shell, whatever the hash or query.
+  const isShellPage = url.pathname === new URL(scopeUrl('./')).pathname ||
+    url.pathname === new URL(scopeUrl('index.html')).pathname;
+  if (request.mode === 'navigate' && isShellPage) {
+    event.respondWith(
+      caches.match(scopeUrl('index.html'))
+        .then((cached) => cached || fetch(request))
+        .catch(() => fetch(request))
+    );
+    return;
+  }
+
+  if (url.href.startsWith(scopeUrl('images/photos/'))) {
+    event.respondWith(cacheFirst(request, PHOTO_CACHE));
+    return;
+  }
+
+  event.respondWith(networkFirst(request, RUNTIME_CACHE));
+});